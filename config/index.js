@@ -4,16 +4,40 @@
  */
 
 require("dotenv").config();
+const path = require("path");
 const { ethers } = require("ethers");
 
+// Files of trading state are kept per mode, so a live run never picks up
+// positions or fills of a paper run
+const tradingMode = process.env.TRADING_MODE || "live";
+
 // Export the configuration object
 module.exports = {
   // BSC network configuration
   bsc: {
     rpcUrl: process.env.BSC_RPC_URL || "https://bsc-dataseed.binance.org/",
     chainId: 56,
-    gasPrice: ethers.parseUnits("5", "gwei"),
-    gasLimit: 300000,
+    gasPrice: ethers.parseUnits("5", "gwei"), // Floor for every transaction
+    gasLimit: 300000, // Used when a venue cannot estimate gas
+  },
+
+  // Gas pricing of swaps, on top of NetworkMonitor's buffered network price
+  gas: {
+    // Strategy per side: entries can wait for a fill, exits have to land
+    strategies: {
+      buy: "patient",
+      sell: "urgent",
+    },
+    // Network price multiplier of each strategy
+    multipliers: {
+      patient: 1,
+      urgent: 1.25,
+    },
+    limitMargin: 0.2, // 20% added to estimateGas
+    maxGasPrice: ethers.parseUnits(
+      process.env.MAX_GAS_PRICE_GWEI || "20",
+      "gwei"
+    ), // Entries are refused above this, exits are capped at it
   },
 
   // Wallet and contracts
@@ -27,22 +51,175 @@ module.exports = {
     WBTC: "0x0555E30da8f98308EdB960aa94C0Db47230d2B9c", // WBTC on BSC
     BUSD: "0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56", // BUSD on BSC
     USDT: "0x55d398326f99059fF775485246999027B3197955", // USDT on BSC
+    ETH: "0x2170Ed0880ac9A755fd29B2688956BD959F933F8", // Binance-Peg ETH on BSC
+    WBNB: "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c", // Wrapped BNB
   },
 
+  // Trading pairs: base/quote reference symbols in tokens, decimals are read on-chain
+  pairs: [
+    { id: "WBTC-BUSD", base: "WBTC", quote: "BUSD", binanceSymbol: "BTCUSDT" },
+    { id: "ETH-USDT", base: "ETH", quote: "USDT", binanceSymbol: "ETHUSDT" },
+    { id: "WBNB-USDT", base: "WBNB", quote: "USDT", binanceSymbol: "BNBUSDT" },
+  ],
+  // Comma-separated pair ids to trade
+  activePairs: (process.env.TRADING_PAIRS || "WBTC-BUSD").split(","),
+
   // PancakeSwap router address
   dex: {
     routerAddress: "0x10ED43C718714eb63d5aA57B78B54704E256024E", // PancakeSwap V2
     swapFee: 0.0025, // 0.25% fee per swap
+
+    // Venues quoted for every trade; "v2" covers the PancakeSwap V2 forks
+    venues: [
+      {
+        name: "pancakeswap-v2",
+        type: "v2",
+        routerAddress: "0x10ED43C718714eb63d5aA57B78B54704E256024E",
+        factoryAddress: "0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73",
+        swapFee: 0.0025,
+      },
+      {
+        name: "pancakeswap-v3",
+        type: "v3",
+        quoterAddress: "0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997", // QuoterV2
+        swapRouterAddress: "0x1b81D678ffb9C0263b24A97847620C99d213eB14",
+        factoryAddress: "0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865",
+        feeTiers: [100, 500, 2500, 10000], // Hundredths of a bip
+      },
+      {
+        name: "biswap",
+        type: "v2",
+        routerAddress: "0x3a6d8cA21D1CF76F653A67577FA0D27453350dD8",
+        factoryAddress: "0x858E3312ed3A876947EA49d572A7C42DE08af7EE",
+        swapFee: 0.001,
+      },
+      {
+        name: "apeswap",
+        type: "v2",
+        routerAddress: "0xcF0feBd3f17CEf5b47b0cD257aCf6025c5BFf3b7",
+        factoryAddress: "0x0841BD0B734E4F5853f0dD8d7Ea041c241fb0Da6",
+        swapFee: 0.002,
+      },
+    ],
+    // Comma-separated venue names to use, all venues when unset
+    activeVenues: process.env.DEX_VENUES
+      ? process.env.DEX_VENUES.split(",")
+      : null,
   },
 
   // Trading parameters
   trading: {
-    minProfitThreshold: 0.006, // 0.6% min profit after fees
+    mode: tradingMode, // "live" signs swaps, "paper" only simulates fills
+    // Entries priced by a profitability model clear its minNetEdge instead
+    minProfitThreshold: 0.006, // 0.6% raw Binance/DEX gap the strategies look for
     trailingStopLoss: 0.005, // 0.5% trailing stop loss
     maxSlippage: 0.002, // 0.2% max slippage
     refreshInterval: 60000, // Check conditions every 60 seconds
   },
 
+  // Expected round-trip cost of an entry at the size CapitalAllocator would trade
+  profitability: {
+    refreshInterval: 30000, // Re-quote the round trip every 30 seconds
+    swapGas: 150000, // Gas one swap is expected to use
+    minNetEdge: 0.001, // 0.1% gap left after fees, price impact and gas for a buy to fire
+  },
+
+  // Write-ahead journal of trade intents, replayed on startup
+  journal: {
+    file:
+      process.env.TRADE_JOURNAL_FILE ||
+      path.join(__dirname, "..", "data", `trade-journal-${tradingMode}.jsonl`),
+    recoveryTimeout: 120000, // Wait up to 2 minutes for swaps still pending at startup
+  },
+
+  // Pending transaction tracking
+  transactions: {
+    pollInterval: 3000, // Check for receipts about once per block
+    timeoutBlocks: 20, // Blocks without a receipt before a transaction counts as stuck
+    gasBump: 0.2, // Replacements pay 20% more gas (nodes require at least 10%)
+    maxReplacements: 3, // Speed-ups and cancels per transaction before reporting it stuck
+    // What to do with a stuck swap: stale entries are dropped, exits pushed through
+    onTimeout: {
+      buy: "cancel",
+      sell: "speed-up",
+    },
+  },
+
+  // Network congestion detection and how trading reacts to it
+  network: {
+    pollInterval: 30000, // Sample recent blocks every 30 seconds
+    sampleBlocks: 20, // Blocks analysed per sample
+    blockTime: 3000, // Expected block time in ms
+    bnbPriceToken: "USDT", // BNB is quoted in this token to price gas in USD
+    // Level starts once any metric reaches its threshold
+    thresholds: {
+      elevated: {
+        gasUsedRatio: 0.8, // Average share of the block gas limit used
+        pendingTransactions: 2000,
+        gasPriceMultiple: 2, // 90th percentile gas price over config.bsc.gasPrice
+        blockTimeDrift: 0.5, // Blocks 50% slower than blockTime
+      },
+      high: {
+        gasUsedRatio: 0.95,
+        pendingTransactions: 5000,
+        gasPriceMultiple: 4,
+        blockTimeDrift: 1,
+      },
+    },
+    // Entries are 'allow'ed or 'postpone'd; exits pay the network gas price times the multiplier
+    policy: {
+      elevated: { entries: "allow", exitGasMultiplier: 1.2 },
+      high: { entries: "postpone", exitGasMultiplier: 1.5 },
+    },
+  },
+
+  // Tracked positions checked against wallet balances
+  reconciliation: {
+    interval: 60000, // Check every 60 seconds
+    dustValue: 5, // Base balances worth less than this in the quote token count as flat
+    adopt: process.env.RECONCILE_ADOPT === "true", // Make tracked positions follow the wallet
+  },
+
+  // Account-level risk limits; a breach halts new entries until an operator resets it
+  risk: {
+    dailyLossLimit: process.env.RISK_DAILY_LOSS_LIMIT
+      ? parseFloat(process.env.RISK_DAILY_LOSS_LIMIT)
+      : null, // Realized loss per UTC day in quote tokens (USD), null = off
+    dailyLossLimitPercent: 0.05, // Realized loss per UTC day as a share of the day's starting equity
+    maxDrawdown: 0.1, // 10% equity drawdown from its peak
+    maxConsecutiveLosses: 5, // Losing round trips in a row
+    checkInterval: 60000, // Re-check equity every 60 seconds
+    stateFile:
+      process.env.RISK_STATE_FILE ||
+      path.join(__dirname, "..", "data", `risk-state-${tradingMode}.json`),
+  },
+
+  // Signal strategy, shared by the bot and the API server
+  strategy: {
+    name: process.env.STRATEGY || "rsi-ema-spread", // Built-in name or path to a module
+    candles: process.env.STRATEGY_CANDLES || null, // 'closed' or 'live', null = the strategy's own choice
+    options: {}, // Passed to the strategy's evaluate(), e.g. { minGap: 0.004 }
+  },
+
+  // Realized PnL ledger with FIFO tax lots
+  pnl: {
+    ledgerFile:
+      process.env.PNL_LEDGER_FILE ||
+      path.join(__dirname, "..", "data", `pnl-ledger-${tradingMode}.json`),
+  },
+
+  // Paper trading virtual ledger
+  paper: {
+    initialBalances: {
+      BUSD: process.env.PAPER_BUSD_BALANCE || "10000",
+      WBTC: process.env.PAPER_WBTC_BALANCE || "0",
+      USDT: process.env.PAPER_USDT_BALANCE || "10000",
+    },
+    ledgerFile:
+      process.env.PAPER_LEDGER_FILE ||
+      path.join(__dirname, "..", "data", "paper-ledger.json"),
+  },
+
   // Technical indicators
   indicators: {
     rsi: {
@@ -52,6 +229,33 @@ module.exports = {
     },
     ema: {
       period: 20,
+      periods: [9, 21, 50], // Extra EMAs reported under indicators.emas
+    },
+    macd: {
+      enabled: true,
+      fastPeriod: 12,
+      slowPeriod: 26,
+      signalPeriod: 9,
+    },
+    bollinger: {
+      enabled: true,
+      period: 20,
+      stdDev: 2,
+    },
+    atr: {
+      enabled: true,
+      period: 14,
+    },
+    stochRsi: {
+      enabled: true,
+      rsiPeriod: 14,
+      stochasticPeriod: 14,
+      kPeriod: 3,
+      dPeriod: 3,
+    },
+    vwap: {
+      enabled: true,
+      period: 20, // Rolling window in candles
     },
   },
 
@@ -75,7 +279,54 @@ module.exports = {
   binance: {
     apiKey: process.env.BINANCE_API_KEY,
     apiSecret: process.env.BINANCE_API_SECRET,
-    symbol: "BTCUSDT",
+    symbol: "BTCUSDT", // Default symbol, pairs map their own via binanceSymbol
     candleInterval: "1m", // 1 minute candles
+    // Higher timeframes aggregated from candleInterval candles, each a multiple of it
+    timeframes: (process.env.BINANCE_TIMEFRAMES || "5m,15m,1h,4h")
+      .split(",")
+      .filter(Boolean),
+    restEndpoint: "https://api.binance.com",
+    wsEndpoint: "wss://stream.binance.com:9443/ws",
+  },
+
+  // REST API server
+  api: {
+    port: process.env.PORT || 3000,
+    runBot: process.env.RUN_BOT === "true", // Run the trading bot inside the server process
+    // API keys as name:role:sha256(key) entries, comma-separated; create with npm run api-key
+    keys: (process.env.API_KEYS || "")
+      .split(",")
+      .filter(Boolean)
+      .map((entry) => {
+        const [name, role, hash] = entry.trim().split(":");
+        return { name, role, hash: (hash || "").toLowerCase() };
+      }),
+    // Origins allowed to call the API from a browser, none when unset
+    corsOrigins: process.env.CORS_ORIGINS
+      ? process.env.CORS_ORIGINS.split(",")
+      : [],
+    defaultPageSize: 50, // Trades per page when no limit is given
+    maxPageSize: 500, // Upper bound for the limit query param
+    stream: {
+      path: "/ws", // WebSocket endpoint for pushed data
+      heartbeatInterval: 30000, // Ping clients and drop dead ones every 30 seconds
+    },
+  },
+
+  // Local price and indicator history
+  history: {
+    filePath:
+      process.env.HISTORY_FILE ||
+      path.join(__dirname, "..", "data", "history.jsonl"),
+    maxRecords: 200000, // Records kept in memory for queries; the file is pruned to them
+    flushInterval: 1000, // Append new records to the file once a second
+    defaultLimit: 500, // Points returned when no limit is given
+    maxLimit: 5000, // Upper bound for the limit query param
+  },
+
+  // Backtesting defaults
+  backtest: {
+    initialCapital: 10000, // Starting quote token balance
+    poolLiquidity: null, // Quote-side pool depth for simulated price impact, null = flat fills
   },
 };
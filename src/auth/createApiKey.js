@@ -0,0 +1,22 @@
+/**
+ * API Key Generator
+ * Prints a new random API key and the API_KEYS entry that stores its hash
+ *
+ * Usage:
+ *   npm run api-key -- <name> <viewer|operator>
+ */
+
+const crypto = require("crypto");
+const { ROLES, hashApiKey } = require("../middleware/auth");
+
+const [name, role] = process.argv.slice(2);
+
+if (!name || !ROLES.includes(role)) {
+  console.error(`Usage: npm run api-key -- <name> <${ROLES.join("|")}>`);
+  process.exit(1);
+}
+
+const key = crypto.randomBytes(32).toString("hex");
+
+console.log(`API key (give to the client, it is not stored): ${key}`);
+console.log(`API_KEYS entry: ${name}:${role}:${hashApiKey(key)}`);
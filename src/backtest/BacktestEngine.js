@@ -0,0 +1,300 @@
+/**
+ * BacktestEngine Module
+ * Replays historical prices through the live indicator, signal, position
+ * and stop-loss logic using a simulated executor
+ */
+
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const IndicatorCalculator = require("../monitoring/IndicatorCalculator");
+const SignalDetector = require("../trading/SignalDetector");
+const PositionManager = require("../trading/PositionManager");
+const StopLossManager = require("../risk/StopLossManager");
+const SimulatedExecutor = require("./SimulatedExecutor");
+const SimulatedProfitabilityModel = require("./SimulatedProfitabilityModel");
+const { loadStrategy } = require("../strategies");
+const CandleAggregator = require("../monitoring/CandleAggregator");
+const { parseInterval, bucketStart } = require("../../utils/interval");
+
+class BacktestEngine {
+  /**
+   * @param {Object} options Backtest options
+   * @param {string} options.pairId Pair to replay, from config.pairs
+   * @param {number} options.initialCapital Starting quote token balance
+   * @param {number} options.poolLiquidity Quote-side pool depth for price impact
+   * @param {string} options.strategy Strategy name or path, defaults to config.strategy.name
+   */
+  constructor({
+    pairId = config.activePairs[0],
+    strategy = config.strategy.name,
+    initialCapital = config.backtest.initialCapital,
+    poolLiquidity = config.backtest.poolLiquidity,
+  } = {}) {
+    this.pair = config.pairs.find((pair) => pair.id === pairId);
+    if (!this.pair) {
+      throw new Error(`Unknown trading pair: ${pairId}`);
+    }
+
+    this.initialCapital = initialCapital;
+    this.executor = new SimulatedExecutor({
+      pair: this.pair,
+      initialCapital,
+      poolLiquidity,
+    });
+
+    // Fresh per-pair instances of the live modules; candles are passed in per tick
+    this.indicatorCalculator = new IndicatorCalculator();
+    this.aggregator = new CandleAggregator(
+      config.binance.candleInterval,
+      config.binance.timeframes
+    );
+    this.indicatorCalculators = {
+      [config.binance.candleInterval]: this.indicatorCalculator,
+    };
+    for (const timeframe of this.aggregator.getTimeframes()) {
+      this.indicatorCalculators[timeframe] = new IndicatorCalculator();
+    }
+    this.positionManager = new PositionManager(this.pair.id);
+    // Entries have to pay for the simulated fees and price impact, as live
+    this.profitabilityModel = new SimulatedProfitabilityModel({
+      pair: this.pair,
+      executor: this.executor,
+    });
+    this.signalDetector = new SignalDetector({
+      pairId: this.pair.id,
+      indicatorCalculator: this.indicatorCalculator,
+      timeframeIndicators: this.indicatorCalculators,
+      strategy: loadStrategy(strategy),
+      profitabilityModel: this.profitabilityModel,
+    });
+    this.stopLossManager = new StopLossManager({
+      pair: this.pair,
+      positionManager: this.positionManager,
+    });
+
+    this.pendingSignal = null;
+    this.stopLossExit = null;
+    this.openTrade = null;
+    this.trades = [];
+    this.equity = {
+      peak: initialCapital,
+      maxDrawdown: 0,
+    };
+    this.exposureMs = 0;
+  }
+
+  /**
+   * Hook the simulated executor into the live modules
+   */
+  registerEventHandlers() {
+    // Signals are queued and handled in order so the replay stays deterministic
+    this.signalDetector.onBuySignal((signal) => {
+      this.pendingSignal = signal;
+    });
+
+    this.signalDetector.onSellSignal((signal) => {
+      this.pendingSignal = signal;
+    });
+
+    this.stopLossManager.setExecutor(this.executor);
+    this.stopLossManager.onStopLossTriggered((event) => {
+      this.stopLossExit = event;
+    });
+  }
+
+  /**
+   * Run the backtest
+   * @param {Array} ticks Replay ticks of { timestamp, binancePrice, dexPrice }
+   * @returns {Object} Backtest report
+   */
+  async run(ticks) {
+    if (ticks.length === 0) {
+      throw new Error("No ticks to replay");
+    }
+
+    logger.info(`Starting backtest over ${ticks.length} ticks...`);
+    this.registerEventHandlers();
+
+    for (let i = 0; i < ticks.length; i++) {
+      await this.processTick(ticks[i]);
+
+      // Time until the next tick counts as exposure if we hold a position
+      if (
+        this.positionManager.getCurrentPosition().type &&
+        i + 1 < ticks.length
+      ) {
+        this.exposureMs += ticks[i + 1].timestamp - ticks[i].timestamp;
+      }
+    }
+
+    return this.buildReport(ticks);
+  }
+
+  /**
+   * Feed one tick through indicators, signals, execution and stop-loss
+   * @param {Object} tick Replay tick
+   */
+  async processTick(tick) {
+    const { timestamp, binancePrice, dexPrice } = tick;
+
+    // Ticks without a candle are fed as closes
+    const candle = tick.candle || {
+      openTime: bucketStart(
+        timestamp.getTime(),
+        parseInterval(config.binance.candleInterval)
+      ),
+      open: binancePrice,
+      high: binancePrice,
+      low: binancePrice,
+      close: binancePrice,
+      volume: 0,
+    };
+
+    // Higher timeframes advance as their candles complete
+    for (const closed of this.aggregator.addCandle(candle)) {
+      this.indicatorCalculators[closed.timeframe].updateIndicators(
+        closed.candle
+      );
+    }
+
+    this.executor.setMarket({ price: dexPrice, timestamp });
+
+    if (this.indicatorCalculator.updateIndicators(candle)) {
+      const market = { binancePrice, dexPrice, timestamp };
+
+      await this.profitabilityModel.refresh();
+      this.signalDetector.checkSignals(
+        this.positionManager.getCurrentPosition(),
+        market
+      );
+
+      await this.handlePendingSignal(dexPrice, timestamp);
+    }
+
+    await this.stopLossManager.checkStopLoss(dexPrice);
+    if (this.stopLossExit) {
+      if (this.stopLossExit.result) {
+        this.positionManager.closePosition(dexPrice);
+        this.closeTrade(this.stopLossExit.result, "stop-loss");
+      }
+      this.stopLossExit = null;
+    }
+
+    this.updateDrawdown(dexPrice);
+  }
+
+  /**
+   * Execute a queued signal the same way the live bot does
+   * @param {number} dexPrice Current DEX price
+   * @param {Date} timestamp Replay time
+   */
+  async handlePendingSignal(dexPrice, timestamp) {
+    const signal = this.pendingSignal;
+    this.pendingSignal = null;
+
+    if (!signal) return;
+
+    if (signal.type === "buy") {
+      const tradeResult = await this.executor.executeBuy(this.pair);
+      if (tradeResult) {
+        this.positionManager.openPosition(dexPrice);
+        this.openTrade = {
+          entryTime: timestamp,
+          entryPrice: dexPrice,
+          quantity: tradeResult.amountOut,
+          cost: tradeResult.amountIn,
+          fees: tradeResult.fee,
+        };
+      }
+    } else {
+      const tradeResult = await this.executor.executeSell(this.pair);
+      if (tradeResult) {
+        this.positionManager.closePosition(dexPrice);
+        this.closeTrade(tradeResult, "signal");
+      }
+    }
+  }
+
+  /**
+   * Turn the open trade into a completed round trip
+   * @param {Object} sellRecord Sell trade record
+   * @param {string} exitReason 'signal' or 'stop-loss'
+   */
+  closeTrade(sellRecord, exitReason) {
+    if (!this.openTrade) return;
+
+    const netPnl = sellRecord.amountOut - this.openTrade.cost;
+    this.trades.push({
+      ...this.openTrade,
+      exitTime: sellRecord.timestamp,
+      exitPrice: sellRecord.price,
+      proceeds: sellRecord.amountOut,
+      fees: this.openTrade.fees + sellRecord.fee,
+      netPnl,
+      netPnlPercent: (netPnl / this.openTrade.cost) * 100,
+      exitReason,
+    });
+    this.openTrade = null;
+  }
+
+  /**
+   * Track peak equity and the deepest drawdown from it
+   * @param {number} dexPrice Current DEX price
+   */
+  updateDrawdown(dexPrice) {
+    const equity = this.executor.getEquity(dexPrice);
+
+    if (equity > this.equity.peak) {
+      this.equity.peak = equity;
+    }
+
+    const drawdown = (this.equity.peak - equity) / this.equity.peak;
+    if (drawdown > this.equity.maxDrawdown) {
+      this.equity.maxDrawdown = drawdown;
+    }
+  }
+
+  /**
+   * Summarise the run
+   * @param {Array} ticks Replayed ticks
+   * @returns {Object} Backtest report
+   */
+  buildReport(ticks) {
+    const start = ticks[0].timestamp;
+    const end = ticks[ticks.length - 1].timestamp;
+    const lastPrice = ticks[ticks.length - 1].dexPrice;
+    const finalEquity = this.executor.getEquity(lastPrice);
+    const wins = this.trades.filter((trade) => trade.netPnl > 0).length;
+    const durationMs = end - start;
+
+    return {
+      pair: this.pair.id,
+      strategy: this.signalDetector.strategy.name,
+      period: { start, end },
+      ticks: ticks.length,
+      initialCapital: this.initialCapital,
+      finalEquity,
+      netPnl: finalEquity - this.initialCapital,
+      netPnlPercent:
+        ((finalEquity - this.initialCapital) / this.initialCapital) * 100,
+      swapFee: config.dex.swapFee,
+      totalFees: this.executor
+        .getTransactionHistory()
+        .reduce((total, trade) => total + trade.fee, 0),
+      totalTrades: this.trades.length,
+      wins,
+      losses: this.trades.length - wins,
+      winRate: this.trades.length > 0 ? (wins / this.trades.length) * 100 : 0,
+      maxDrawdownPercent: this.equity.maxDrawdown * 100,
+      exposureMs: this.exposureMs,
+      exposurePercent:
+        durationMs > 0 ? (this.exposureMs / durationMs) * 100 : 0,
+      openPosition: this.openTrade
+        ? { ...this.openTrade, markPrice: lastPrice }
+        : null,
+      trades: this.trades,
+    };
+  }
+}
+
+module.exports = BacktestEngine;
@@ -0,0 +1,173 @@
+/**
+ * HistoricalDataLoader Module
+ * Builds replay ticks from kline/DEX files or from the local history store
+ */
+
+const fs = require("fs");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const HistoryStore = require("../services/HistoryStore");
+const { parseInterval, bucketStart } = require("../../utils/interval");
+
+class HistoricalDataLoader {
+  /**
+   * Read a JSON file
+   * @param {string} filePath Path to the file
+   * @returns {*} Parsed contents
+   */
+  readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+
+  /**
+   * Load klines as returned by Binance's /api/v3/klines endpoint
+   * Accepts raw kline arrays or objects with closeTime/close fields and
+   * optional open/high/low/volume fields
+   * @param {string} filePath Path to the kline JSON file
+   * @returns {Array} Klines sorted by close time
+   */
+  loadKlinesFile(filePath) {
+    const intervalMs = parseInterval(config.binance.candleInterval);
+    const klines = this.readJson(filePath).map((kline) => {
+      if (Array.isArray(kline)) {
+        return {
+          openTime: Number(kline[0]),
+          closeTime: Number(kline[6]),
+          open: parseFloat(kline[1]),
+          high: parseFloat(kline[2]),
+          low: parseFloat(kline[3]),
+          close: parseFloat(kline[4]),
+          volume: parseFloat(kline[5]),
+        };
+      }
+
+      // Object klines without a range or volume are treated as close-only
+      const close = parseFloat(kline.close);
+      const closeTime = Number(kline.closeTime);
+      return {
+        openTime:
+          kline.openTime === undefined
+            ? closeTime - intervalMs + 1
+            : Number(kline.openTime),
+        closeTime,
+        open: kline.open === undefined ? close : parseFloat(kline.open),
+        high: kline.high === undefined ? close : parseFloat(kline.high),
+        low: kline.low === undefined ? close : parseFloat(kline.low),
+        close,
+        volume: kline.volume === undefined ? 0 : parseFloat(kline.volume),
+      };
+    });
+
+    logger.info(`Loaded ${klines.length} klines from ${filePath}`);
+    return klines.sort((a, b) => a.closeTime - b.closeTime);
+  }
+
+  /**
+   * Load a DEX price series of { timestamp, price } points
+   * @param {string} filePath Path to the DEX series JSON file
+   * @returns {Array} Points sorted by timestamp
+   */
+  loadDexSeriesFile(filePath) {
+    const points = this.readJson(filePath).map((point) => ({
+      timestamp: new Date(point.timestamp).getTime(),
+      price: parseFloat(point.price),
+    }));
+
+    logger.info(`Loaded ${points.length} DEX price points from ${filePath}`);
+    return points.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Pair each kline with the latest DEX price known at its close
+   * @param {Array} klines Klines sorted by close time
+   * @param {Array} dexPoints DEX points sorted by timestamp
+   * @returns {Array} Replay ticks
+   */
+  mergeSeries(klines, dexPoints) {
+    const ticks = [];
+    let dexIndex = -1;
+
+    for (const kline of klines) {
+      while (
+        dexIndex + 1 < dexPoints.length &&
+        dexPoints[dexIndex + 1].timestamp <= kline.closeTime
+      ) {
+        dexIndex++;
+      }
+
+      // Skip klines that close before the first DEX observation
+      if (dexIndex < 0) continue;
+
+      ticks.push({
+        timestamp: new Date(kline.closeTime),
+        binancePrice: kline.close,
+        dexPrice: dexPoints[dexIndex].price,
+        candle: kline,
+      });
+    }
+
+    return ticks;
+  }
+
+  /**
+   * Build replay ticks from kline and DEX series files
+   * @param {string} klinesPath Path to the kline JSON file
+   * @param {string} dexPath Path to the DEX series JSON file
+   * @returns {Array} Replay ticks
+   */
+  loadFromFiles(klinesPath, dexPath) {
+    return this.mergeSeries(
+      this.loadKlinesFile(klinesPath),
+      this.loadDexSeriesFile(dexPath)
+    );
+  }
+
+  /**
+   * Build replay ticks from the history store, one per candle interval
+   * @param {Object} options Query options
+   * @param {string} options.pairId Pair whose snapshots to replay
+   * @param {number} options.from Start timestamp in ms
+   * @param {number} options.to End timestamp in ms
+   * @returns {Array} Replay ticks
+   */
+  async loadFromHistory({
+    pairId = config.activePairs[0],
+    from = null,
+    to = null,
+  } = {}) {
+    // The server may be appending to and pruning the same file
+    await HistoryStore.initialize({ readOnly: true });
+
+    const records = HistoryStore.query({
+      pair: pairId,
+      from,
+      to,
+      limit: config.history.maxRecords,
+    }).filter((record) => record.centralizedPrice && record.dexPrice);
+
+    // Stored updates arrive whenever either source changes; keep the last
+    // one per candle so indicators see one close per interval like live
+    const intervalMs = parseInterval(config.binance.candleInterval);
+    const buckets = new Map();
+    for (const record of records) {
+      buckets.set(bucketStart(record.timestamp, intervalMs), record);
+    }
+
+    // Only closes are stored, so candles have no range or volume
+    return [...buckets.entries()].map(([openTime, record]) => ({
+      timestamp: new Date(record.timestamp),
+      binancePrice: record.centralizedPrice,
+      dexPrice: record.dexPrice,
+      candle: {
+        openTime,
+        open: record.centralizedPrice,
+        high: record.centralizedPrice,
+        low: record.centralizedPrice,
+        close: record.centralizedPrice,
+        volume: 0,
+      },
+    }));
+  }
+}
+
+module.exports = new HistoricalDataLoader();
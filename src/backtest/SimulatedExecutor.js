@@ -0,0 +1,276 @@
+/**
+ * SimulatedExecutor Module
+ * Stands in for TradeExecutor during backtests, filling at the replayed DEX price
+ */
+
+const { ethers } = require("ethers");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const AmmPoolSimulator = require("../dex/AmmPoolSimulator");
+
+// Pool amounts are simulated with 18 decimals on both sides
+const POOL_DECIMALS = 18;
+const POOL_ACCOUNT = "0x000000000000000000000000000000000000bEEF";
+
+class SimulatedExecutor {
+  /**
+   * @param {Object} options Executor options
+   * @param {Object} options.pair Pair entry from config.pairs
+   * @param {number} options.initialCapital Starting quote balance
+   * @param {number} options.swapFee Fee charged on every swap
+   * @param {number} options.maxCapitalPerTrade Fraction of quote balance spent per buy
+   * @param {number} options.poolLiquidity Quote-side pool depth; fills go through an
+   *   AmmPoolSimulator with price impact when set, flat at the DEX price otherwise
+   */
+  constructor({
+    pair = config.pairs[0],
+    initialCapital = config.backtest.initialCapital,
+    swapFee = config.dex.swapFee,
+    maxCapitalPerTrade = config.wallet.maxCapitalPerTrade,
+    poolLiquidity = config.backtest.poolLiquidity,
+  } = {}) {
+    this.pair = pair;
+    this.tokens = {
+      base: config.tokens[pair.base],
+      quote: config.tokens[pair.quote],
+    };
+    this.swapFee = swapFee;
+    this.maxCapitalPerTrade = maxCapitalPerTrade;
+    this.poolLiquidity = poolLiquidity;
+    this.pool = poolLiquidity
+      ? new AmmPoolSimulator({ swapFee, account: POOL_ACCOUNT })
+      : null;
+    this.balances = {
+      quote: initialCapital,
+      base: 0,
+    };
+    this.market = {
+      price: 0,
+      timestamp: null,
+    };
+    this.transactions = [];
+  }
+
+  /**
+   * Set the price and time that the next fills happen at
+   * @param {Object} market Replayed market state
+   * @param {number} market.price DEX price of one base token
+   * @param {Date} market.timestamp Replay time
+   */
+  setMarket({ price, timestamp }) {
+    this.market = { price, timestamp };
+
+    // Arbitrage keeps the pool anchored to the replayed DEX price between ticks
+    if (this.pool && price > 0) {
+      this.pool.setReserves(
+        this.tokens.quote,
+        this.toPoolUnits(this.poolLiquidity),
+        this.tokens.base,
+        this.toPoolUnits(this.poolLiquidity / price)
+      );
+    }
+  }
+
+  /**
+   * Convert a float amount to simulated pool units
+   * @param {number} amount Token amount
+   * @returns {bigint} Amount with POOL_DECIMALS decimals
+   */
+  toPoolUnits(amount) {
+    return ethers.parseUnits(amount.toFixed(POOL_DECIMALS), POOL_DECIMALS);
+  }
+
+  /**
+   * Fill a swap, through the simulated pool when one is configured
+   * @param {Array} path Token addresses [tokenIn, tokenOut]
+   * @param {number} amountIn Amount of tokenIn
+   * @param {number} flatAmountOut Output at the DEX price after fees
+   * @returns {number} Amount of tokenOut received
+   */
+  async fill(path, amountIn, flatAmountOut) {
+    if (!this.pool) {
+      return flatAmountOut;
+    }
+
+    const units = this.toPoolUnits(amountIn);
+    this.pool.setBalance(POOL_ACCOUNT, path[0], units);
+    this.pool.setBalance(POOL_ACCOUNT, path[1], 0n);
+
+    const deadline = Math.floor(Date.now() / 1000) + 300;
+    await this.pool.swapExactTokensForTokens(
+      units,
+      0n,
+      path,
+      POOL_ACCOUNT,
+      deadline
+    );
+
+    return parseFloat(
+      ethers.formatUnits(
+        this.pool.balanceOf(POOL_ACCOUNT, path[1]),
+        POOL_DECIMALS
+      )
+    );
+  }
+
+  /**
+   * Output of a swap without filling it, through the simulated pool when
+   * one is configured
+   * @param {Array} path Token addresses [tokenIn, tokenOut]
+   * @param {number} amountIn Amount of tokenIn
+   * @param {number} flatAmountOut Output at the DEX price after fees
+   * @returns {number} Amount of tokenOut the swap would return
+   */
+  quote(path, amountIn, flatAmountOut) {
+    if (!this.pool) {
+      return flatAmountOut;
+    }
+
+    const [, amountOut] = this.pool.quotePath(this.toPoolUnits(amountIn), path);
+    return parseFloat(ethers.formatUnits(amountOut, POOL_DECIMALS));
+  }
+
+  /**
+   * What buying at the next buy's size and selling it straight back would
+   * lose to swap fees and price impact
+   * @returns {Object|null} { size, fees, roundTrip }, null with nothing to
+   *   spend or no price yet
+   */
+  estimateRoundTrip() {
+    const size = this.balances.quote * this.maxCapitalPerTrade;
+    const { price } = this.market;
+    if (size <= 0 || price <= 0) {
+      return null;
+    }
+
+    const bought = this.quote(
+      [this.tokens.quote, this.tokens.base],
+      size,
+      (size * (1 - this.swapFee)) / price
+    );
+    const returned = this.quote(
+      [this.tokens.base, this.tokens.quote],
+      bought,
+      bought * price * (1 - this.swapFee)
+    );
+
+    return {
+      size,
+      fees: 2 * this.swapFee,
+      roundTrip: 1 - returned / size,
+    };
+  }
+
+  /**
+   * Simulate a buy (quote -> base)
+   * @returns {Object|false} Trade record, false if there is nothing to spend
+   */
+  async executeBuy() {
+    const amountIn = this.balances.quote * this.maxCapitalPerTrade;
+
+    if (amountIn <= 0 || this.market.price <= 0) {
+      logger.warn(
+        `Insufficient simulated ${this.pair.quote} balance for trading`
+      );
+      return false;
+    }
+
+    const fee = amountIn * this.swapFee;
+    const flatAmountOut = (amountIn - fee) / this.market.price;
+    const amountOut = await this.fill(
+      [this.tokens.quote, this.tokens.base],
+      amountIn,
+      flatAmountOut
+    );
+
+    this.balances.quote -= amountIn;
+    this.balances.base += amountOut;
+
+    return this.recordTrade(
+      "buy",
+      amountIn,
+      amountOut,
+      fee,
+      1 - amountOut / flatAmountOut
+    );
+  }
+
+  /**
+   * Simulate a sell of the whole base balance (base -> quote)
+   * @returns {Object|false} Trade record, false if there is nothing to sell
+   */
+  async executeSell() {
+    const amountIn = this.balances.base;
+
+    if (amountIn <= 0 || this.market.price <= 0) {
+      logger.warn(`No simulated ${this.pair.base} balance to sell`);
+      return false;
+    }
+
+    const grossOut = amountIn * this.market.price;
+    const fee = grossOut * this.swapFee;
+    const flatAmountOut = grossOut - fee;
+    const amountOut = await this.fill(
+      [this.tokens.base, this.tokens.quote],
+      amountIn,
+      flatAmountOut
+    );
+
+    this.balances.base = 0;
+    this.balances.quote += amountOut;
+
+    return this.recordTrade(
+      "sell",
+      amountIn,
+      amountOut,
+      fee,
+      1 - amountOut / flatAmountOut
+    );
+  }
+
+  /**
+   * Store a trade record shaped like TradeExecutor's
+   * @param {string} type 'buy' or 'sell'
+   * @param {number} amountIn Amount spent
+   * @param {number} amountOut Amount received
+   * @param {number} fee Swap fee paid, in the quote token
+   * @param {number} priceImpact Output lost to pool depth versus a flat fill
+   * @returns {Object} Trade record
+   */
+  recordTrade(type, amountIn, amountOut, fee, priceImpact) {
+    const tradeRecord = {
+      type,
+      pair: this.pair.id,
+      txHash: `simulated-${this.transactions.length + 1}`,
+      amountIn,
+      amountOut,
+      price: this.market.price,
+      fee,
+      priceImpact,
+      timestamp: this.market.timestamp,
+      blockNumber: null,
+    };
+
+    this.transactions.push(tradeRecord);
+    return tradeRecord;
+  }
+
+  /**
+   * Mark the simulated balances to market
+   * @param {number} price Current DEX price
+   * @returns {number} Equity in the quote token
+   */
+  getEquity(price = this.market.price) {
+    return this.balances.quote + this.balances.base * price;
+  }
+
+  /**
+   * Get transaction history
+   * @returns {Array} Array of trade records
+   */
+  getTransactionHistory() {
+    return this.transactions;
+  }
+}
+
+module.exports = SimulatedExecutor;
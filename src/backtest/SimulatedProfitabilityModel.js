@@ -0,0 +1,47 @@
+/**
+ * SimulatedProfitabilityModel Module
+ * Stands in for ProfitabilityModel during backtests, pricing the round trip
+ * from the SimulatedExecutor's swap fee and pool instead of live quotes.
+ * Simulated fills pay no gas
+ */
+
+const ProfitabilityModel = require("../trading/ProfitabilityModel");
+
+class SimulatedProfitabilityModel extends ProfitabilityModel {
+  /**
+   * @param {Object} deps Backtest dependencies
+   * @param {Object} deps.pair Pair entry from config.pairs
+   * @param {SimulatedExecutor} deps.executor Executor the backtest fills with
+   */
+  constructor({ pair, executor }) {
+    super({
+      pair: {
+        id: pair.id,
+        base: { symbol: pair.base },
+        quote: { symbol: pair.quote },
+      },
+    });
+    this.executor = executor;
+  }
+
+  /**
+   * Re-estimate at the executor's current balance and pool, once per tick
+   * @returns {Object|null} Cost estimate, null without capital or a price
+   */
+  async refresh() {
+    const roundTrip = this.executor.estimateRoundTrip();
+    this.estimate = roundTrip
+      ? this.buildEstimate({
+          ...roundTrip,
+          entryVenue: "simulator",
+          exitVenue: "simulator",
+          // Replayed DEX prices are the simulated pool's own price
+          quoteFee: 0,
+          gasUsd: 0,
+        })
+      : null;
+    return this.estimate;
+  }
+}
+
+module.exports = SimulatedProfitabilityModel;
@@ -1,15 +1,40 @@
 // src/controllers/IndicatorController.ts
 const MonitoringService = require("../services/MonitoringService");
+const TraderRegistry = require("../trading/TraderRegistry");
 const logger = require("../../utils/logger");
 
 module.exports = {
   getIndicators: async (req, res) => {
     try {
+      const { pair } = req.query;
       const data = MonitoringService.getCurrentData();
+      const traders = TraderRegistry.getTraders().filter(
+        (trader) => !pair || trader.pair.id === pair
+      );
 
+      if (pair && traders.length === 0) {
+        return res.status(404).json({ error: `Pair ${pair} is not trading` });
+      }
+
+      // The full indicator set is calculated by the bot's pair traders, so
+      // pairs is only populated when the bot runs inside the server
       res.json({
         rsi: data.centralized.indicators.rsi,
         ema: data.centralized.indicators.ema,
+        pairs: traders.map((trader) => {
+          const timeframes = {};
+          for (const [timeframe, calculator] of Object.entries(
+            trader.indicatorCalculators
+          )) {
+            timeframes[timeframe] = calculator.getIndicators();
+          }
+
+          return {
+            pair: trader.pair.id,
+            ...trader.indicatorCalculator.getIndicators(),
+            timeframes,
+          };
+        }),
       });
     } catch (error) {
       logger.error("Failed to fetch indicators:", error);
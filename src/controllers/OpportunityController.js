@@ -19,6 +19,7 @@ module.exports = {
         type,
         strength,
         priceDifference: data.priceDifference,
+        strategy: MonitoringService.strategy.name,
       });
     } catch (error) {
       logger.error("Failed to fetch opportunity status:", error);
@@ -0,0 +1,78 @@
+// src/controllers/PositionController.js
+const TraderRegistry = require("../trading/TraderRegistry");
+const PnlLedger = require("../trading/PnlLedger");
+const BalanceReconciler = require("../risk/BalanceReconciler");
+const logger = require("../../utils/logger");
+
+module.exports = {
+  getPosition: async (req, res) => {
+    try {
+      const { pair } = req.query;
+      const traders = TraderRegistry.getTraders().filter(
+        (trader) => !pair || trader.pair.id === pair
+      );
+
+      if (pair && traders.length === 0) {
+        return res.status(404).json({ error: `Pair ${pair} is not trading` });
+      }
+
+      res.json({
+        positions: traders.map((trader) => ({
+          pair: trader.pair.id,
+          ...trader.positionManager.getCurrentPosition(),
+          execution: trader.executionCoordinator.getState(),
+          profitability: trader.profitabilityModel.getEstimate(),
+          currentPrice: trader.dexPriceMonitor.getCurrentPrice(),
+        })),
+      });
+    } catch (error) {
+      logger.error("Failed to fetch position:", error);
+      res.status(500).json({
+        error: "Failed to fetch position",
+        details: error.message,
+      });
+    }
+  },
+
+  getReconciliation: async (req, res) => {
+    try {
+      res.json(BalanceReconciler.getStatus());
+    } catch (error) {
+      logger.error("Failed to fetch reconciliation:", error);
+      res.status(500).json({
+        error: "Failed to fetch reconciliation",
+        details: error.message,
+      });
+    }
+  },
+
+  getPnl: async (req, res) => {
+    try {
+      res.json(PnlLedger.getSummary(req.query.pair));
+    } catch (error) {
+      logger.error("Failed to fetch PnL:", error);
+      res.status(500).json({
+        error: "Failed to fetch PnL",
+        details: error.message,
+      });
+    }
+  },
+
+  getPnlLots: async (req, res) => {
+    try {
+      const lots = PnlLedger.getClosedLots(req.query.pair);
+
+      if (req.query.format === "csv") {
+        res.attachment("pnl-lots.csv");
+        return res.send(PnlLedger.toCsv(lots));
+      }
+      res.json({ lots });
+    } catch (error) {
+      logger.error("Failed to fetch PnL lots:", error);
+      res.status(500).json({
+        error: "Failed to fetch PnL lots",
+        details: error.message,
+      });
+    }
+  },
+};
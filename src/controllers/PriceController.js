@@ -1,5 +1,8 @@
 // src/controllers/PriceController.ts
 const MonitoringService = require("../services/MonitoringService");
+const HistoryStore = require("../services/HistoryStore");
+const config = require("../../config");
+const { parseTimestamp } = require("../../utils/query");
 
 module.exports = {
   getCurrentPrices: async (req, res) => {
@@ -24,11 +27,47 @@ module.exports = {
 
   getHistoricalPrices: async (req, res) => {
     try {
-      // In a real implementation, you would fetch historical data from your database
-      // For now, we'll return sample data structure
+      const from = parseTimestamp(req.query.from);
+      const to = parseTimestamp(req.query.to);
+      const limit =
+        req.query.limit === undefined
+          ? config.history.defaultLimit
+          : Number(req.query.limit);
+
+      if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res
+          .status(400)
+          .json({ error: "from/to must be epoch ms or ISO dates" });
+      }
+
+      if (
+        !Number.isInteger(limit) ||
+        limit < 1 ||
+        limit > config.history.maxLimit
+      ) {
+        return res.status(400).json({
+          error: `limit must be an integer between 1 and ${config.history.maxLimit}`,
+        });
+      }
+
+      const records = HistoryStore.query({ from, to, limit });
+
       res.json({
-        binance: [],
-        dex: [],
+        count: records.length,
+        binance: records.map((record) => ({
+          timestamp: new Date(record.timestamp),
+          price: record.centralizedPrice,
+          rsi: record.rsi,
+          ema: record.ema,
+        })),
+        dex: records.map((record) => ({
+          timestamp: new Date(record.timestamp),
+          price: record.dexPrice,
+        })),
+        spread: records.map((record) => ({
+          timestamp: new Date(record.timestamp),
+          priceDifference: record.priceDifference,
+        })),
       });
     } catch (error) {
       res.status(500).json({ error: "Failed to fetch historical prices" });
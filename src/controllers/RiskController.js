@@ -0,0 +1,50 @@
+// src/controllers/RiskController.js
+const RiskGuard = require("../risk/RiskGuard");
+const logger = require("../../utils/logger");
+
+module.exports = {
+  getStatus: async (req, res) => {
+    try {
+      res.json(RiskGuard.getStatus());
+    } catch (error) {
+      logger.error("Failed to fetch risk status:", error);
+      res.status(500).json({
+        error: "Failed to fetch risk status",
+        details: error.message,
+      });
+    }
+  },
+
+  activateKillSwitch: async (req, res) => {
+    try {
+      const reason =
+        (req.body && req.body.reason) ||
+        `Kill switch pulled by ${req.apiKey.name}`;
+      const results = await RiskGuard.activateKillSwitch(reason);
+
+      res.json({ ...RiskGuard.getStatus(), flattened: results });
+    } catch (error) {
+      logger.error("Failed to activate kill switch:", error);
+      res.status(500).json({
+        error: "Failed to activate kill switch",
+        details: error.message,
+      });
+    }
+  },
+
+  reset: async (req, res) => {
+    try {
+      if (!(await RiskGuard.reset(req.apiKey.name))) {
+        return res.status(409).json({ error: "Trading is not halted" });
+      }
+
+      res.json(RiskGuard.getStatus());
+    } catch (error) {
+      logger.error("Failed to reset risk halt:", error);
+      res.status(500).json({
+        error: "Failed to reset risk halt",
+        details: error.message,
+      });
+    }
+  },
+};
@@ -0,0 +1,84 @@
+// src/controllers/TradeController.js
+const TradeExecutor = require("../trading/TradeExecutor");
+const logger = require("../../utils/logger");
+const config = require("../../config");
+const { parseTimestamp, parseInteger } = require("../../utils/query");
+
+module.exports = {
+  getTrades: async (req, res) => {
+    try {
+      const { pair, type } = req.query;
+      const from = parseTimestamp(req.query.from);
+      const to = parseTimestamp(req.query.to);
+      const page = parseInteger(req.query.page, 1, 1, Number.MAX_SAFE_INTEGER);
+      const limit = parseInteger(
+        req.query.limit,
+        config.api.defaultPageSize,
+        1,
+        config.api.maxPageSize
+      );
+
+      if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res
+          .status(400)
+          .json({ error: "from/to must be epoch ms or ISO dates" });
+      }
+
+      if (Number.isNaN(page) || Number.isNaN(limit)) {
+        return res.status(400).json({
+          error: `page must be a positive integer and limit an integer between 1 and ${config.api.maxPageSize}`,
+        });
+      }
+
+      if (type !== undefined && !["buy", "sell"].includes(type)) {
+        return res.status(400).json({ error: "type must be buy or sell" });
+      }
+
+      // Newest first
+      const trades = TradeExecutor.getTransactionHistory()
+        .filter(
+          (trade) =>
+            (!pair || trade.pair === pair) &&
+            (!type || trade.type === type) &&
+            (from === null || trade.timestamp.getTime() >= from) &&
+            (to === null || trade.timestamp.getTime() <= to)
+        )
+        .reverse();
+
+      res.json({
+        total: trades.length,
+        page,
+        limit,
+        trades: trades.slice((page - 1) * limit, page * limit),
+      });
+    } catch (error) {
+      logger.error("Failed to fetch trades:", error);
+      res.status(500).json({
+        error: "Failed to fetch trades",
+        details: error.message,
+      });
+    }
+  },
+
+  getTrade: async (req, res) => {
+    try {
+      const txHash = req.params.txHash.toLowerCase();
+      const trade = TradeExecutor.getTransactionHistory().find(
+        // Adopted fills have no transaction
+        (record) => record.txHash && record.txHash.toLowerCase() === txHash
+      );
+
+      if (!trade) {
+        return res.status(404).json({ error: "Trade not found" });
+      }
+
+      res.json({ trade });
+    } catch (error) {
+      logger.error("Failed to fetch trade:", error);
+      res.status(500).json({
+        error: "Failed to fetch trade",
+        details: error.message,
+      });
+    }
+  },
+};
@@ -0,0 +1,407 @@
+/**
+ * AmmPoolSimulator Module
+ * In-process constant-product (x*y=k) pools exposing the same getAmountsOut /
+ * swapExactTokensForTokens surface as the PancakeSwap V2 router contract
+ *
+ * Every swap is mined into its own block straight away, unless hold() keeps
+ * transactions pending until mine(), e.g. to time out and replace them. A
+ * transaction sent on a pending nonce replaces it. asContracts() adds
+ * the wallet and provider calls TradeExecutor and TransactionManager make
+ * (nonces, block numbers, receipts), and swap receipts carry gas and the
+ * token Transfer logs fills are read from.
+ */
+
+const { ethers } = require("ethers");
+const config = require("../../config");
+const V2Adapter = require("./adapters/V2Adapter");
+
+const FEE_DENOMINATOR = 10000n;
+
+// Gas a mined transaction reports, by kind
+const GAS_USED = {
+  swap: 150000n,
+  approve: 46000n,
+  transfer: 21000n,
+};
+
+const transferInterface = new ethers.Interface([
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+]);
+
+class AmmPoolSimulator {
+  /**
+   * @param {Object} options Simulator options
+   * @param {number} options.swapFee Fee charged on every hop, as a fraction
+   * @param {string} options.account Address that sends swaps (the simulated wallet)
+   */
+  constructor({
+    swapFee = config.dex.swapFee,
+    account = ethers.ZeroAddress,
+  } = {}) {
+    this.feeBps = BigInt(Math.round(swapFee * Number(FEE_DENOMINATOR)));
+    this.account = account;
+    this.pools = new Map(); // pair key -> { [token]: reserve }
+    this.balances = new Map(); // owner -> Map(token -> amount)
+    this.blockNumber = 0;
+    this.swapCount = 0;
+    this.nonce = 0; // next nonce of the simulated wallet, pending included
+    this.receipts = new Map(); // tx hash -> receipt
+    this.holding = false;
+    this.mempool = new Map(); // nonce -> receipt of the pending transaction
+  }
+
+  /**
+   * Build the lookup key for a token pair, independent of order
+   * @param {string} tokenA First token address
+   * @param {string} tokenB Second token address
+   * @returns {string} Pair key
+   */
+  pairKey(tokenA, tokenB) {
+    return [tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join(":");
+  }
+
+  /**
+   * Stand-in address of a pool, derived from its pair key
+   * @param {string} tokenA First token address
+   * @param {string} tokenB Second token address
+   * @returns {string} Pool address
+   */
+  poolAddress(tokenA, tokenB) {
+    return ethers.getAddress(
+      ethers.dataSlice(ethers.id(this.pairKey(tokenA, tokenB)), 12)
+    );
+  }
+
+  /**
+   * Create or overwrite a pool's reserves
+   * @param {string} tokenA First token address
+   * @param {bigint} reserveA Reserve of tokenA
+   * @param {string} tokenB Second token address
+   * @param {bigint} reserveB Reserve of tokenB
+   */
+  setReserves(tokenA, reserveA, tokenB, reserveB) {
+    this.pools.set(this.pairKey(tokenA, tokenB), {
+      [tokenA.toLowerCase()]: reserveA,
+      [tokenB.toLowerCase()]: reserveB,
+    });
+  }
+
+  /**
+   * Get the reserves of a pool ordered for a swap direction
+   * @param {string} tokenIn Input token address
+   * @param {string} tokenOut Output token address
+   * @returns {Array} [reserveIn, reserveOut]
+   */
+  getReserves(tokenIn, tokenOut) {
+    const pool = this.pools.get(this.pairKey(tokenIn, tokenOut));
+    if (!pool) {
+      throw new Error("PancakeLibrary: INSUFFICIENT_LIQUIDITY");
+    }
+    return [pool[tokenIn.toLowerCase()], pool[tokenOut.toLowerCase()]];
+  }
+
+  /**
+   * Constant-product output for one hop, fee taken from the input
+   * @param {bigint} amountIn Input amount
+   * @param {bigint} reserveIn Input reserve
+   * @param {bigint} reserveOut Output reserve
+   * @returns {bigint} Output amount
+   */
+  getAmountOut(amountIn, reserveIn, reserveOut) {
+    if (amountIn <= 0n) {
+      throw new Error("PancakeLibrary: INSUFFICIENT_INPUT_AMOUNT");
+    }
+    if (reserveIn <= 0n || reserveOut <= 0n) {
+      throw new Error("PancakeLibrary: INSUFFICIENT_LIQUIDITY");
+    }
+
+    const amountInWithFee = amountIn * (FEE_DENOMINATOR - this.feeBps);
+    return (
+      (amountInWithFee * reserveOut) /
+      (reserveIn * FEE_DENOMINATOR + amountInWithFee)
+    );
+  }
+
+  /**
+   * Quote a swap along a path, like the router's getAmountsOut
+   * @param {bigint} amountIn Input amount
+   * @param {Array} path Token addresses
+   * @returns {Array} Amounts for every step of the path
+   */
+  async getAmountsOut(amountIn, path) {
+    return this.quotePath(BigInt(amountIn), path);
+  }
+
+  /**
+   * Synchronous path quote used by both getAmountsOut and swaps
+   * @param {bigint} amountIn Input amount
+   * @param {Array} path Token addresses
+   * @returns {Array} Amounts for every step of the path
+   */
+  quotePath(amountIn, path) {
+    if (path.length < 2) {
+      throw new Error("PancakeLibrary: INVALID_PATH");
+    }
+
+    const amounts = [amountIn];
+    for (let i = 0; i < path.length - 1; i++) {
+      const [reserveIn, reserveOut] = this.getReserves(path[i], path[i + 1]);
+      amounts.push(this.getAmountOut(amounts[i], reserveIn, reserveOut));
+    }
+    return amounts;
+  }
+
+  /**
+   * Execute a swap against the pools, moving reserves and balances
+   * @param {bigint} amountIn Input amount
+   * @param {bigint} amountOutMin Minimum acceptable output
+   * @param {Array} path Token addresses
+   * @param {string} to Recipient of the output tokens
+   * @param {number} deadline Unix timestamp after which the swap reverts
+   * @param {Object} overrides Transaction overrides (nonce, gasPrice)
+   * @returns {Object} Transaction-like object with hash and wait()
+   */
+  async swapExactTokensForTokens(
+    amountIn,
+    amountOutMin,
+    path,
+    to,
+    deadline,
+    overrides = {}
+  ) {
+    if (Math.floor(Date.now() / 1000) > Number(deadline)) {
+      throw new Error("PancakeRouter: EXPIRED");
+    }
+
+    const amounts = this.quotePath(BigInt(amountIn), path);
+    const amountOut = amounts[amounts.length - 1];
+
+    if (amountOut < BigInt(amountOutMin)) {
+      throw new Error("PancakeRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+    }
+    if (this.balanceOf(this.account, path[0]) < amounts[0]) {
+      throw new Error("TransferHelper: TRANSFER_FROM_FAILED");
+    }
+    const nonce = this.takeNonce(overrides.nonce);
+
+    // Move reserves hop by hop so the next quote sees the depleted pool
+    for (let i = 0; i < path.length - 1; i++) {
+      const pool = this.pools.get(this.pairKey(path[i], path[i + 1]));
+      pool[path[i].toLowerCase()] += amounts[i];
+      pool[path[i + 1].toLowerCase()] -= amounts[i + 1];
+    }
+
+    this.setBalance(
+      this.account,
+      path[0],
+      this.balanceOf(this.account, path[0]) - amounts[0]
+    );
+    this.setBalance(
+      to,
+      path[path.length - 1],
+      this.balanceOf(to, path[path.length - 1]) + amountOut
+    );
+
+    const last = path.length - 1;
+    return this.mineTransaction("swap", nonce, overrides.gasPrice, [
+      this.transferLog(
+        path[0],
+        this.account,
+        this.poolAddress(path[0], path[1]),
+        amounts[0]
+      ),
+      this.transferLog(
+        path[last],
+        this.poolAddress(path[last - 1], path[last]),
+        to,
+        amountOut
+      ),
+    ]);
+  }
+
+  /**
+   * Use up a nonce of the simulated wallet, like a node accepting a transaction
+   * @param {number} nonce Requested nonce, the next one when unset
+   * @returns {number} Nonce used
+   */
+  takeNonce(nonce) {
+    if (nonce === undefined || nonce === null) {
+      nonce = this.nonce;
+    }
+    if (this.mempool.has(nonce)) {
+      return nonce;
+    }
+    if (nonce < this.nonce) {
+      throw new Error(
+        `nonce too low: next nonce ${this.nonce}, tx nonce ${nonce}`
+      );
+    }
+    this.nonce = nonce + 1;
+    return nonce;
+  }
+
+  /**
+   * ERC-20 Transfer log as it appears in a receipt
+   * @param {string} token Token address
+   * @param {string} from Sender
+   * @param {string} to Recipient
+   * @param {bigint} value Amount
+   * @returns {Object} Log with address, topics and data
+   */
+  transferLog(token, from, to, value) {
+    const { data, topics } = transferInterface.encodeEventLog("Transfer", [
+      from,
+      to,
+      value,
+    ]);
+    return { address: token, topics, data };
+  }
+
+  /**
+   * Produce a transaction-like object resolved in a new block
+   * @param {string} label Kind of transaction ('swap', 'approve' or
+   *   'transfer'), also used to derive a unique hash
+   * @param {number} nonce Nonce the transaction used
+   * @param {bigint} gasPrice Gas price in wei, config.bsc.gasPrice when unset
+   * @param {Array} logs Receipt logs
+   * @returns {Object} Object with hash, nonce and wait() like an ethers response
+   */
+  mineTransaction(label, nonce, gasPrice = null, logs = []) {
+    this.swapCount++;
+
+    const hash = ethers.id(`simulated-${label}-${this.swapCount}`);
+    const receipt = {
+      hash,
+      blockNumber: null,
+      status: 1,
+      logs,
+      gasUsed: GAS_USED[label],
+      gasPrice: gasPrice ? BigInt(gasPrice) : config.bsc.gasPrice,
+    };
+    if (this.holding) {
+      this.mempool.set(nonce, receipt);
+    } else {
+      this.confirm(receipt);
+    }
+
+    return {
+      hash,
+      nonce,
+      wait: async () => receipt,
+    };
+  }
+
+  /**
+   * Put a receipt into a new block
+   * @param {Object} receipt Receipt of a mined transaction
+   */
+  confirm(receipt) {
+    this.blockNumber++;
+    receipt.blockNumber = this.blockNumber;
+    this.receipts.set(receipt.hash, receipt);
+  }
+
+  /**
+   * Keep the transactions sent from now on pending until mine()
+   */
+  hold() {
+    this.holding = true;
+  }
+
+  /**
+   * Mine the last transaction sent on every pending nonce, and mine new
+   * ones straight away again
+   */
+  mine() {
+    for (const receipt of this.mempool.values()) {
+      this.confirm(receipt);
+    }
+    this.mempool.clear();
+    this.holding = false;
+  }
+
+  /**
+   * Get an owner's simulated token balance
+   * @param {string} owner Owner address
+   * @param {string} token Token address
+   * @returns {bigint} Balance
+   */
+  balanceOf(owner, token) {
+    const balances = this.balances.get(owner.toLowerCase());
+    return (balances && balances.get(token.toLowerCase())) || 0n;
+  }
+
+  /**
+   * Set an owner's simulated token balance
+   * @param {string} owner Owner address
+   * @param {string} token Token address
+   * @param {bigint} amount New balance
+   */
+  setBalance(owner, token, amount) {
+    const key = owner.toLowerCase();
+    if (!this.balances.has(key)) {
+      this.balances.set(key, new Map());
+    }
+    this.balances.get(key).set(token.toLowerCase(), amount);
+  }
+
+  /**
+   * ERC-20 style view of a token backed by the simulated balances
+   * @param {string} token Token address
+   * @param {number} decimals Decimals reported by decimals()
+   * @returns {Object} Object with balanceOf, allowance, approve and decimals
+   */
+  tokenContract(token, decimals = 18) {
+    return {
+      balanceOf: async (owner) => this.balanceOf(owner, token),
+      decimals: async () => BigInt(decimals),
+      allowance: async () => ethers.MaxUint256,
+      approve: async () => this.mineTransaction("approve", this.takeNonce()),
+    };
+  }
+
+  /**
+   * V2 venue adapter backed by this simulator, for DexAggregator.useAdapters
+   * @param {string} name Venue name
+   * @returns {V2Adapter} Adapter quoting and swapping against the simulated pools
+   */
+  asAdapter(name = "simulator") {
+    return new V2Adapter({
+      name,
+      routerAddress: config.dex.routerAddress,
+      swapFee: Number(this.feeBps) / Number(FEE_DENOMINATOR),
+      router: this,
+    });
+  }
+
+  /**
+   * Contract set shaped like utils/contract, for injection into the
+   * pair registry, trade executor and capital allocator
+   * @returns {Object} Router, token contracts, wallet and provider
+   */
+  asContracts() {
+    return {
+      pancakeRouter: this,
+      wbtcToken: this.tokenContract(config.tokens.WBTC),
+      busdToken: this.tokenContract(config.tokens.BUSD),
+      getTokenContract: (address) => this.tokenContract(address),
+      wallet: {
+        address: this.account,
+        getNonce: async (blockTag = "latest") =>
+          blockTag === "pending" ? this.nonce : this.nonce - this.mempool.size,
+        sendTransaction: async (tx) =>
+          this.mineTransaction(
+            "transfer",
+            this.takeNonce(tx.nonce),
+            tx.gasPrice
+          ),
+      },
+      provider: {
+        getBlockNumber: async () => this.blockNumber,
+        getTransactionReceipt: async (hash) => this.receipts.get(hash) || null,
+      },
+    };
+  }
+}
+
+module.exports = AmmPoolSimulator;
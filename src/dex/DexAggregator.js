@@ -0,0 +1,102 @@
+/**
+ * DexAggregator Module
+ * Holds an adapter per configured DEX venue, quotes them all and picks the
+ * venue that returns the most output
+ */
+
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const V2Adapter = require("./adapters/V2Adapter");
+const PancakeV3Adapter = require("./adapters/PancakeV3Adapter");
+
+const ADAPTER_TYPES = {
+  v2: V2Adapter,
+  v3: PancakeV3Adapter,
+};
+
+class DexAggregator {
+  constructor() {
+    this.adapters = config.dex.venues
+      .filter(
+        (venue) =>
+          !config.dex.activeVenues ||
+          config.dex.activeVenues.includes(venue.name)
+      )
+      .map((venue) => new ADAPTER_TYPES[venue.type](venue));
+  }
+
+  /**
+   * Replace the venues, e.g. with a V2Adapter over an AmmPoolSimulator
+   * @param {Array} adapters DexAdapter instances
+   */
+  useAdapters(adapters) {
+    this.adapters = adapters;
+  }
+
+  /**
+   * Get all venue adapters
+   * @returns {Array} DexAdapter instances
+   */
+  getAdapters() {
+    return this.adapters;
+  }
+
+  /**
+   * Get the adapter of a venue
+   * @param {string} name Venue name
+   * @returns {DexAdapter} Adapter
+   */
+  getAdapter(name) {
+    const adapter = this.adapters.find((candidate) => candidate.name === name);
+    if (!adapter) {
+      throw new Error(`Unknown DEX venue: ${name}`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Quote an exact-input swap on every venue. Venues without a pool for the
+   * pair are logged and left out
+   * @param {string} tokenIn Input token address
+   * @param {string} tokenOut Output token address
+   * @param {bigint} amountIn Input amount
+   * @returns {Array} Quotes, best first
+   */
+  async getQuotes(tokenIn, tokenOut, amountIn) {
+    const results = await Promise.allSettled(
+      this.adapters.map((adapter) => adapter.quote(tokenIn, tokenOut, amountIn))
+    );
+
+    const quotes = [];
+    results.forEach((result, i) => {
+      if (result.status === "fulfilled") {
+        quotes.push(result.value);
+      } else {
+        logger.debug(
+          `No quote from ${this.adapters[i].name}: ${result.reason.message}`
+        );
+      }
+    });
+
+    return quotes.sort((a, b) =>
+      a.amountOut === b.amountOut ? 0 : a.amountOut > b.amountOut ? -1 : 1
+    );
+  }
+
+  /**
+   * Find the venue that returns the most output for a swap
+   * @param {string} tokenIn Input token address
+   * @param {string} tokenOut Output token address
+   * @param {bigint} amountIn Input amount
+   * @returns {Object} Best quote { venue, tokenIn, tokenOut, amountIn, amountOut, feeTier }
+   */
+  async getBestQuote(tokenIn, tokenOut, amountIn) {
+    const quotes = await this.getQuotes(tokenIn, tokenOut, amountIn);
+    if (quotes.length === 0) {
+      throw new Error(`No DEX venue can quote ${tokenIn} -> ${tokenOut}`);
+    }
+    return quotes[0];
+  }
+}
+
+module.exports = new DexAggregator();
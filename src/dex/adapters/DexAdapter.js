@@ -0,0 +1,178 @@
+/**
+ * DexAdapter Module
+ * Interface every DEX venue adapter implements. Fee tiers are expressed in
+ * hundredths of a bip (2500 = 0.25%), the unit PancakeSwap V3 pools use
+ */
+
+const { ethers } = require("ethers");
+const contracts = require("../../../utils/contract");
+
+const FEE_TIER_DENOMINATOR = 1000000;
+
+const tokenInterface = new ethers.Interface(contracts.abis.token);
+
+class DexAdapter {
+  /**
+   * @param {string} name Venue name, e.g. 'pancakeswap-v2'
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Address that has to be approved to spend the input token
+   * @returns {string} Router address
+   */
+  getSpender() {
+    throw new Error(`${this.name} adapter does not implement getSpender`);
+  }
+
+  /**
+   * Fee tiers this venue can route through
+   * @returns {Array} Fee tiers in hundredths of a bip
+   */
+  getFeeTiers() {
+    throw new Error(`${this.name} adapter does not implement getFeeTiers`);
+  }
+
+  /**
+   * Quote an exact-input swap
+   * @param {string} tokenIn Input token address
+   * @param {string} tokenOut Output token address
+   * @param {bigint} amountIn Input amount
+   * @returns {Object} Quote { venue, tokenIn, tokenOut, amountIn, amountOut, feeTier }
+   */
+  async quote(tokenIn, tokenOut, amountIn) {
+    throw new Error(`${this.name} adapter does not implement quote`);
+  }
+
+  /**
+   * Send a swap for a quote returned by this adapter
+   * @param {Object} route Quote from quote()
+   * @param {bigint} minAmountOut Minimum output after slippage
+   * @param {string} recipient Receiver of the output tokens
+   * @param {number} deadline Unix timestamp after which the swap reverts
+   * @param {Object} overrides Transaction overrides such as gasPrice and gasLimit
+   * @returns {Object} Transaction response
+   */
+  async swap(route, minAmountOut, recipient, deadline, overrides) {
+    throw new Error(`${this.name} adapter does not implement swap`);
+  }
+
+  /**
+   * Estimate the gas a swap will use
+   * @param {Object} route Quote from quote()
+   * @param {bigint} minAmountOut Minimum output after slippage
+   * @param {string} recipient Receiver of the output tokens
+   * @param {number} deadline Unix timestamp after which the swap reverts
+   * @returns {bigint|null} Gas units, null if the venue cannot estimate
+   */
+  async estimateSwapGas(route, minAmountOut, recipient, deadline) {
+    return null;
+  }
+
+  /**
+   * Amounts a mined swap actually moved, read from its receipt. The token
+   * Transfer logs from and to the recipient come first, as they are what the
+   * wallet's balances saw; the pool's Swap log is the fallback
+   * @param {Object} receipt Receipt of the swap
+   * @param {Object} route Quote the swap was sent for
+   * @param {string} recipient Wallet that paid the input and received the output
+   * @returns {Object|null} { amountIn, amountOut, source }, null if the logs show no fill
+   */
+  parseFill(receipt, route, recipient) {
+    return (
+      this.parseTransferLogs(receipt, route, recipient) ||
+      this.parseSwapLog(receipt, route, recipient)
+    );
+  }
+
+  /**
+   * Sum the input token sent by the recipient and the output token it received
+   * @param {Object} receipt Receipt of the swap
+   * @param {Object} route Quote the swap was sent for
+   * @param {string} recipient Wallet that paid the input and received the output
+   * @returns {Object|null} { amountIn, amountOut, source: 'transfer' }, null
+   *   unless both sides were transferred
+   */
+  parseTransferLogs(receipt, route, recipient) {
+    const wallet = recipient.toLowerCase();
+    const tokenIn = route.tokenIn.toLowerCase();
+    const tokenOut = route.tokenOut.toLowerCase();
+    let amountIn = 0n;
+    let amountOut = 0n;
+
+    for (const log of receipt.logs) {
+      const token = log.address.toLowerCase();
+      if (token !== tokenIn && token !== tokenOut) continue;
+
+      const event = this.decodeLog(tokenInterface, log, "Transfer");
+      if (!event) continue;
+
+      if (token === tokenIn && event.args.from.toLowerCase() === wallet) {
+        amountIn += event.args.value;
+      } else if (token === tokenOut && event.args.to.toLowerCase() === wallet) {
+        amountOut += event.args.value;
+      }
+    }
+
+    if (amountIn === 0n || amountOut === 0n) {
+      return null;
+    }
+    return { amountIn, amountOut, source: "transfer" };
+  }
+
+  /**
+   * Read the amounts from the pool's Swap log
+   * @param {Object} receipt Receipt of the swap
+   * @param {Object} route Quote the swap was sent for
+   * @param {string} recipient Receiver of the output tokens
+   * @returns {Object|null} { amountIn, amountOut, source: 'swap' }, null if
+   *   the venue has no Swap log to read
+   */
+  parseSwapLog(receipt, route, recipient) {
+    return null;
+  }
+
+  /**
+   * Decode a log as one event of an interface
+   * @param {Interface} iface Interface declaring the event
+   * @param {Object} log Receipt log
+   * @param {string} name Event name
+   * @returns {Object|null} Parsed log, null if the log is another event
+   */
+  decodeLog(iface, log, name) {
+    try {
+      const parsed = iface.parseLog({ topics: log.topics, data: log.data });
+      return parsed && parsed.name === name ? parsed : null;
+    } catch (error) {
+      // Same topic, different indexing (e.g. an ERC-721 Transfer)
+      return null;
+    }
+  }
+
+  /**
+   * Whether tokenA is token0 of its pool, i.e. has the lower address
+   * @param {string} tokenA First token address
+   * @param {string} tokenB Second token address
+   * @returns {Boolean} True if tokenA sorts before tokenB
+   */
+  sortsBefore(tokenA, tokenB) {
+    return tokenA.toLowerCase() < tokenB.toLowerCase();
+  }
+
+  /**
+   * Look up the pool that trades a pair at a fee tier
+   * @param {string} tokenA First token address
+   * @param {string} tokenB Second token address
+   * @param {number} feeTier Fee tier in hundredths of a bip
+   * @returns {string} Pool address, the zero address if there is none
+   */
+  async getPoolAddress(tokenA, tokenB, feeTier) {
+    throw new Error(`${this.name} adapter does not implement getPoolAddress`);
+  }
+}
+
+DexAdapter.FEE_TIER_DENOMINATOR = FEE_TIER_DENOMINATOR;
+
+module.exports = DexAdapter;
@@ -0,0 +1,151 @@
+/**
+ * PancakeV3Adapter Module
+ * Adapter for PancakeSwap V3: quotes every fee tier through QuoterV2 and
+ * swaps through the SwapRouter on the tier that pays the most
+ */
+
+const { ethers } = require("ethers");
+const contracts = require("../../../utils/contract");
+const logger = require("../../../utils/logger");
+const DexAdapter = require("./DexAdapter");
+
+const poolInterface = new ethers.Interface(contracts.abis.v3Pool);
+
+class PancakeV3Adapter extends DexAdapter {
+  /**
+   * @param {Object} venue Venue entry from config.dex.venues
+   * @param {string} venue.name Venue name
+   * @param {string} venue.quoterAddress QuoterV2 contract address
+   * @param {string} venue.swapRouterAddress SwapRouter contract address
+   * @param {string} venue.factoryAddress V3 factory contract address
+   * @param {Array} venue.feeTiers Fee tiers to quote, in hundredths of a bip
+   * @param {Object} runner Signer or provider for the contracts
+   */
+  constructor(venue, runner = contracts.runner) {
+    super(venue.name);
+    this.swapRouterAddress = venue.swapRouterAddress;
+    this.feeTiers = venue.feeTiers;
+    this.quoter = new ethers.Contract(
+      venue.quoterAddress,
+      contracts.abis.v3Quoter,
+      runner
+    );
+    this.swapRouter = new ethers.Contract(
+      venue.swapRouterAddress,
+      contracts.abis.v3SwapRouter,
+      runner
+    );
+    this.factory = new ethers.Contract(
+      venue.factoryAddress,
+      contracts.abis.v3Factory,
+      runner
+    );
+  }
+
+  getSpender() {
+    return this.swapRouterAddress;
+  }
+
+  getFeeTiers() {
+    return this.feeTiers;
+  }
+
+  async quote(tokenIn, tokenOut, amountIn) {
+    // QuoterV2 simulates the swap and reverts for tiers without a pool
+    const results = await Promise.allSettled(
+      this.feeTiers.map((fee) =>
+        this.quoter.quoteExactInputSingle.staticCall({
+          tokenIn,
+          tokenOut,
+          amountIn,
+          fee,
+          sqrtPriceLimitX96: 0,
+        })
+      )
+    );
+
+    let best = null;
+    results.forEach((result, i) => {
+      if (result.status !== "fulfilled") {
+        logger.debug(
+          `${this.name} has no quote at fee tier ${this.feeTiers[i]}: ${result.reason.message}`
+        );
+        return;
+      }
+
+      const amountOut = result.value.amountOut;
+      if (!best || amountOut > best.amountOut) {
+        best = {
+          venue: this.name,
+          tokenIn,
+          tokenOut,
+          amountIn,
+          amountOut,
+          feeTier: this.feeTiers[i],
+        };
+      }
+    });
+
+    if (!best) {
+      throw new Error(`${this.name} has no pool for ${tokenIn}/${tokenOut}`);
+    }
+    return best;
+  }
+
+  async swap(route, minAmountOut, recipient, deadline, overrides) {
+    return this.swapRouter.exactInputSingle(
+      {
+        tokenIn: route.tokenIn,
+        tokenOut: route.tokenOut,
+        fee: route.feeTier,
+        recipient,
+        deadline,
+        amountIn: route.amountIn,
+        amountOutMinimum: minAmountOut,
+        sqrtPriceLimitX96: 0,
+      },
+      overrides
+    );
+  }
+
+  async estimateSwapGas(route, minAmountOut, recipient, deadline) {
+    return this.swapRouter.exactInputSingle.estimateGas({
+      tokenIn: route.tokenIn,
+      tokenOut: route.tokenOut,
+      fee: route.feeTier,
+      recipient,
+      deadline,
+      amountIn: route.amountIn,
+      amountOutMinimum: minAmountOut,
+      sqrtPriceLimitX96: 0,
+    });
+  }
+
+  parseSwapLog(receipt, route, recipient) {
+    const inIsToken0 = this.sortsBefore(route.tokenIn, route.tokenOut);
+
+    for (const log of receipt.logs) {
+      const event = this.decodeLog(poolInterface, log, "Swap");
+      if (
+        !event ||
+        event.args.recipient.toLowerCase() !== recipient.toLowerCase()
+      ) {
+        continue;
+      }
+      // Signed from the pool's side: positive was paid in, negative paid out
+      const { amount0, amount1 } = event.args;
+      return {
+        amountIn: inIsToken0 ? amount0 : amount1,
+        amountOut: -(inIsToken0 ? amount1 : amount0),
+        source: "swap",
+      };
+    }
+    return null;
+  }
+
+  async getPoolAddress(tokenA, tokenB, feeTier) {
+    return this.factory.getPool(tokenA, tokenB, feeTier);
+  }
+}
+
+module.exports = PancakeV3Adapter;
@@ -0,0 +1,115 @@
+/**
+ * V2Adapter Module
+ * Adapter for PancakeSwap V2 and its forks (Biswap, ApeSwap): one pool per
+ * pair at a fixed fee, quoted and swapped through the router
+ */
+
+const { ethers } = require("ethers");
+const contracts = require("../../../utils/contract");
+const DexAdapter = require("./DexAdapter");
+
+const pairInterface = new ethers.Interface(contracts.abis.v2Pair);
+
+class V2Adapter extends DexAdapter {
+  /**
+   * @param {Object} venue Venue entry from config.dex.venues
+   * @param {string} venue.name Venue name
+   * @param {string} venue.routerAddress Router contract address
+   * @param {string} venue.factoryAddress Factory contract address
+   * @param {number} venue.swapFee Pool fee as a fraction
+   * @param {Object} venue.router Router-like object to use instead of the
+   *   on-chain contract, e.g. an AmmPoolSimulator
+   * @param {Object} runner Signer or provider for the contracts
+   */
+  constructor(venue, runner = contracts.runner) {
+    super(venue.name);
+    this.routerAddress = venue.routerAddress;
+    this.feeTier = Math.round(venue.swapFee * DexAdapter.FEE_TIER_DENOMINATOR);
+    this.router =
+      venue.router ||
+      new ethers.Contract(venue.routerAddress, contracts.abis.router, runner);
+    this.factory = venue.factoryAddress
+      ? new ethers.Contract(
+          venue.factoryAddress,
+          contracts.abis.factory,
+          runner
+        )
+      : null;
+  }
+
+  getSpender() {
+    return this.routerAddress;
+  }
+
+  getFeeTiers() {
+    return [this.feeTier];
+  }
+
+  async quote(tokenIn, tokenOut, amountIn) {
+    const amounts = await this.router.getAmountsOut(amountIn, [
+      tokenIn,
+      tokenOut,
+    ]);
+
+    return {
+      venue: this.name,
+      tokenIn,
+      tokenOut,
+      amountIn,
+      amountOut: amounts[1],
+      feeTier: this.feeTier,
+    };
+  }
+
+  async swap(route, minAmountOut, recipient, deadline, overrides) {
+    return this.router.swapExactTokensForTokens(
+      route.amountIn,
+      minAmountOut,
+      [route.tokenIn, route.tokenOut],
+      recipient,
+      deadline,
+      overrides
+    );
+  }
+
+  async estimateSwapGas(route, minAmountOut, recipient, deadline) {
+    // An AmmPoolSimulator router is a plain object without estimateGas
+    if (!this.router.swapExactTokensForTokens.estimateGas) {
+      return null;
+    }
+    return this.router.swapExactTokensForTokens.estimateGas(
+      route.amountIn,
+      minAmountOut,
+      [route.tokenIn, route.tokenOut],
+      recipient,
+      deadline
+    );
+  }
+
+  parseSwapLog(receipt, route, recipient) {
+    const inIsToken0 = this.sortsBefore(route.tokenIn, route.tokenOut);
+
+    for (const log of receipt.logs) {
+      const event = this.decodeLog(pairInterface, log, "Swap");
+      if (!event || event.args.to.toLowerCase() !== recipient.toLowerCase()) {
+        continue;
+      }
+      const { amount0In, amount1In, amount0Out, amount1Out } = event.args;
+      return {
+        amountIn: inIsToken0 ? amount0In : amount1In,
+        amountOut: inIsToken0 ? amount1Out : amount0Out,
+        source: "swap",
+      };
+    }
+    return null;
+  }
+
+  async getPoolAddress(tokenA, tokenB) {
+    if (!this.factory) {
+      return ethers.ZeroAddress;
+    }
+    return this.factory.getPair(tokenA, tokenB);
+  }
+}
+
+module.exports = V2Adapter;
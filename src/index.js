@@ -4,119 +4,108 @@
  */
 
 const logger = require("../utils/logger");
-const BinanceService = require("./monitoring/BinanceService");
-const DexPriceMonitor = require("./monitoring/DexPriceMonitor");
-const IndicatorCalculator = require("./monitoring/IndicatorCalculator");
-const SignalDetector = require("./trading/SignalDetector");
+const PairRegistry = require("./trading/PairRegistry");
+const PairTrader = require("./trading/PairTrader");
+const TraderRegistry = require("./trading/TraderRegistry");
 const TradeExecutor = require("./trading/TradeExecutor");
-const PositionManager = require("./trading/PositionManager");
+const TradeJournal = require("./trading/TradeJournal");
+const PnlLedger = require("./trading/PnlLedger");
 const NetworkMonitor = require("./risk/NetworkMonitor");
-const StopLossManager = require("./risk/StopLossManager");
+const RiskGuard = require("./risk/RiskGuard");
+const BalanceReconciler = require("./risk/BalanceReconciler");
 
-class WBTCScalpingBot {
+class ScalpingBot {
   constructor() {
     this.isRunning = false;
+    this.traders = [];
   }
 
   async initialize() {
     try {
-      logger.info("Starting WBTC Scalping Bot initialization...");
+      logger.info("Starting Scalping Bot initialization...");
 
-      // Initialize monitoring services
-      await BinanceService.initialize();
-      await DexPriceMonitor.initialize();
+      // Resolve pairs first, everything below works per pair
+      await PairRegistry.initialize();
 
-      // Initialize trading components
+      // Initialize shared trading and risk components
       await TradeExecutor.initialize();
-      PositionManager.initialize();
-      SignalDetector.initialize();
-
-      // Initialize risk management
       await NetworkMonitor.initialize();
-      StopLossManager.initialize();
-
-      // Set up indicator calculator with initial data
-      IndicatorCalculator.initialize(BinanceService.getHistoricalPrices());
 
-      // Register event handlers
-      this.registerEventHandlers();
+      // Fills go into the PnL ledger, and its realized PnL counts towards
+      // the account-level loss limits, so both report the same numbers.
+      // Recovered fills below already count, so the saved limits load first
+      PnlLedger.initialize();
+      RiskGuard.restore();
+      TradeExecutor.onTradeExecuted((trade) =>
+        RiskGuard.recordFill(PnlLedger.recordFill(trade))
+      );
+
+      // Settle trades a previous run left in flight before any pair trades;
+      // the ones that filled are recorded like any other fill
+      TradeJournal.initialize();
+      const recovered = await TradeJournal.recover((intent, receipt) =>
+        TradeExecutor.readRecoveredFill(intent, receipt)
+      );
+      recovered.forEach(
+        ({ trade }) => trade && TradeExecutor.recordTrade(trade)
+      );
+
+      // Each pair gets its own monitors, signals and position
+      for (const pair of PairRegistry.getPairs()) {
+        const trader = new PairTrader(pair);
+        await trader.initialize();
+        this.traders.push(trader);
+        TraderRegistry.register(trader);
+      }
 
-      // Start monitoring for stop-loss
-      StopLossManager.startMonitoring();
+      // Equity is marked with the traders' DEX prices, so start after them
+      await RiskGuard.initialize();
+      await BalanceReconciler.initialize();
 
       this.isRunning = true;
-      logger.info("WBTC Scalping Bot initialized and running");
+      logger.info(
+        `Scalping Bot initialized and running ${this.traders.length} pair(s)`
+      );
     } catch (error) {
       logger.error("Failed to initialize bot:", error.message);
       process.exit(1);
     }
   }
 
-  registerEventHandlers() {
-    // Binance price updates
-    BinanceService.onPriceUpdate((price, historicalPrices) => {
-      // Update indicators with new price data
-      IndicatorCalculator.updateIndicators(historicalPrices);
-
-      // Check for trading signals
-      SignalDetector.checkBuySignal(PositionManager.getCurrentPosition().type);
-      SignalDetector.checkSellSignal(PositionManager.getCurrentPosition().type);
-    });
-
-    // Trading signals
-    SignalDetector.onBuySignal(async (signal) => {
-      logger.info("Processing buy signal...");
-      const tradeResult = await TradeExecutor.executeBuy();
-      if (tradeResult) {
-        PositionManager.openPosition(DexPriceMonitor.getCurrentPrice());
-      }
-    });
-
-    SignalDetector.onSellSignal(async (signal) => {
-      logger.info("Processing sell signal...");
-      const tradeResult = await TradeExecutor.executeSell();
-      if (tradeResult) {
-        PositionManager.closePosition(DexPriceMonitor.getCurrentPrice());
-      }
-    });
-
-    // Position management
-    PositionManager.onPositionOpened((position) => {
-      logger.info(`New position opened: ${JSON.stringify(position)}`);
-    });
-
-    PositionManager.onPositionClosed((position) => {
-      logger.info(`Position closed: ${JSON.stringify(position)}`);
-    });
-  }
-
   shutdown() {
     if (this.isRunning) {
-      logger.info("Shutting down WBTC Scalping Bot...");
+      logger.info("Shutting down Scalping Bot...");
 
       // Shutdown services
-      BinanceService.shutdown();
-      DexPriceMonitor.shutdown();
+      this.traders.forEach((trader) => trader.shutdown());
+      TraderRegistry.clear();
       NetworkMonitor.shutdown();
-      StopLossManager.shutdown();
+      RiskGuard.shutdown();
+      BalanceReconciler.shutdown();
+      TradeJournal.shutdown();
 
       this.isRunning = false;
-      logger.info("WBTC Scalping Bot shutdown complete");
+      logger.info("Scalping Bot shutdown complete");
     }
   }
 }
 
-// Start the bot
-const bot = new WBTCScalpingBot();
-bot.initialize();
+const bot = new ScalpingBot();
 
-// Handle process termination
-process.on("SIGINT", () => {
-  bot.shutdown();
-  process.exit();
-});
+// Start the bot when run directly; the API server starts it itself with RUN_BOT
+if (require.main === module) {
+  bot.initialize();
+
+  // Handle process termination
+  process.on("SIGINT", () => {
+    bot.shutdown();
+    process.exit();
+  });
+
+  process.on("SIGTERM", () => {
+    bot.shutdown();
+    process.exit();
+  });
+}
 
-process.on("SIGTERM", () => {
-  bot.shutdown();
-  process.exit();
-});
+module.exports = bot;
@@ -0,0 +1,142 @@
+/**
+ * Auth Middleware
+ * API-key authentication with viewer and operator roles. Keys are stored as
+ * SHA-256 hashes in config.api.keys; clients send the raw key
+ */
+
+const crypto = require("crypto");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+
+// Later roles include every permission of the earlier ones
+const ROLES = ["viewer", "operator"];
+
+// Reads never change bot state, everything else counts as a control action
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Log configuration problems with the API keys at startup
+ */
+function validateApiKeys() {
+  config.api.keys
+    .filter((key) => !ROLES.includes(key.role))
+    .forEach((key) =>
+      logger.warn(
+        `API key ${key.name} has unknown role ${key.role}, ignoring it`
+      )
+    );
+
+  if (config.api.keys.length === 0) {
+    logger.warn("No API keys configured, every /api request will be rejected");
+  }
+}
+
+/**
+ * Hash an API key the way it is stored in config
+ * @param {string} key Raw API key
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Read the raw key from the X-API-Key header, a Bearer token or, for
+ * WebSocket upgrades that cannot set headers, the apiKey query param
+ * @param {http.IncomingMessage} req Incoming request
+ * @returns {string|null} Raw key
+ */
+function extractApiKey(req) {
+  if (req.headers["x-api-key"]) {
+    return req.headers["x-api-key"];
+  }
+
+  const authorization = req.headers.authorization || "";
+  if (authorization.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length);
+  }
+
+  const url = new URL(req.url, "http://localhost");
+  return url.searchParams.get("apiKey");
+}
+
+/**
+ * Find the configured key matching the request
+ * @param {http.IncomingMessage} req Incoming request
+ * @returns {Object|null} Key entry { name, role }, null if unauthenticated
+ */
+function authenticateRequest(req) {
+  const rawKey = extractApiKey(req);
+  if (!rawKey) {
+    return null;
+  }
+
+  const digest = Buffer.from(hashApiKey(rawKey), "hex");
+  const match = config.api.keys.find((key) => {
+    const stored = Buffer.from(key.hash, "hex");
+    return (
+      ROLES.includes(key.role) &&
+      stored.length === digest.length &&
+      crypto.timingSafeEqual(stored, digest)
+    );
+  });
+
+  return match ? { name: match.name, role: match.role } : null;
+}
+
+/**
+ * Check whether a role grants the permissions of another
+ * @param {string} role Role held
+ * @param {string} required Role needed
+ * @returns {boolean} True if role is at least required
+ */
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Reject requests without a valid API key, and attach the key to req.apiKey
+ */
+function authenticate(req, res, next) {
+  const apiKey = authenticateRequest(req);
+  if (!apiKey) {
+    return res.status(401).json({ error: "Missing or invalid API key" });
+  }
+
+  req.apiKey = apiKey;
+  next();
+}
+
+/**
+ * Require a minimum role on a route
+ * @param {string} role 'viewer' or 'operator'
+ * @returns {Function} Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.apiKey || !hasRole(req.apiKey.role, role)) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Default policy for a router: viewer for reads, operator for anything that
+ * changes state
+ */
+function authorizeByMethod(req, res, next) {
+  const role = SAFE_METHODS.includes(req.method) ? "viewer" : "operator";
+  return requireRole(role)(req, res, next);
+}
+
+module.exports = {
+  ROLES,
+  validateApiKeys,
+  hashApiKey,
+  authenticateRequest,
+  hasRole,
+  authenticate,
+  requireRole,
+  authorizeByMethod,
+};
@@ -7,14 +7,80 @@ const WebSocket = require("ws");
 const axios = require("axios");
 const config = require("../../config");
 const logger = require("../../utils/logger");
+const CandleStore = require("./CandleStore");
+const CandleAggregator = require("./CandleAggregator");
+const { parseInterval } = require("../../utils/interval");
+
+// Closed candles kept per higher timeframe, enough to calculate indicators
+const TIMEFRAME_HISTORY = 100;
+
+/**
+ * Convert a REST kline array to a candle
+ * @param {Array} kline Kline from /api/v3/klines
+ * @returns {Object} Candle
+ */
+function parseRestKline(kline) {
+  return {
+    openTime: kline[0],
+    open: parseFloat(kline[1]),
+    high: parseFloat(kline[2]),
+    low: parseFloat(kline[3]),
+    close: parseFloat(kline[4]),
+    volume: parseFloat(kline[5]),
+    closeTime: kline[6],
+    // The last REST kline is the candle that is still open
+    closed: kline[6] < Date.now(),
+  };
+}
+
+/**
+ * Convert a WebSocket kline payload to a candle
+ * @param {Object} kline The k field of a kline event
+ * @returns {Object} Candle
+ */
+function parseStreamKline(kline) {
+  return {
+    openTime: kline.t,
+    open: parseFloat(kline.o),
+    high: parseFloat(kline.h),
+    low: parseFloat(kline.l),
+    close: parseFloat(kline.c),
+    volume: parseFloat(kline.v),
+    closeTime: kline.T,
+    closed: kline.x,
+  };
+}
 
 class BinanceService {
-  constructor() {
+  /**
+   * @param {string} symbol Binance symbol to stream, e.g. 'ETHUSDT'
+   */
+  constructor(symbol = config.binance.symbol) {
+    this.symbol = symbol;
+    this.interval = config.binance.candleInterval;
     this.ws = null;
-    this.historicalPrices = [];
+    this.aggregator = new CandleAggregator(
+      this.interval,
+      config.binance.timeframes,
+      TIMEFRAME_HISTORY
+    );
+    // Enough base candles to calculate indicators and to rebuild the period
+    // the longest timeframe is still in, within Binance's 1000 kline limit
+    const baseMs = parseInterval(this.interval);
+    this.historyLimit = Math.min(
+      1000,
+      Math.max(
+        100,
+        ...config.binance.timeframes.map(
+          (timeframe) => parseInterval(timeframe) / baseMs + 1
+        )
+      )
+    );
+    this.candleStore = new CandleStore(this.historyLimit);
     this.currentPrice = 0;
     this.callbacks = {
       onPriceUpdate: null,
+      onCandleClosed: null,
       onHistoricalDataLoaded: null,
     };
   }
@@ -23,7 +89,7 @@ class BinanceService {
    * Initialize the Binance service
    */
   async initialize() {
-    logger.info("Initializing Binance service...");
+    logger.info(`Initializing Binance service for ${this.symbol}...`);
 
     try {
       // Load historical data first
@@ -47,38 +113,64 @@ class BinanceService {
     try {
       logger.info("Loading historical price data...");
 
-      const response = await axios.get(
-        `${config.binance.restEndpoint}/api/v3/klines`,
-        {
-          params: {
-            symbol: config.binance.symbol,
-            interval: config.binance.candleInterval,
-            limit: 100, // Get enough data to calculate indicators
-          },
-        }
+      this.candleStore.load(
+        await this.fetchKlines(this.interval, this.historyLimit)
       );
+      const candles = this.candleStore.getClosedCandles();
+
+      // Higher timeframes load their own closed history; the periods they are
+      // still in are rebuilt from base candles so live aggregation continues them
+      for (const timeframe of this.aggregator.getTimeframes()) {
+        this.aggregator.load(
+          timeframe,
+          await this.fetchKlines(timeframe, TIMEFRAME_HISTORY)
+        );
+      }
+      this.aggregator.seed(candles);
 
-      // Format the data
-      this.historicalPrices = response.data.map((candle) =>
-        parseFloat(candle[4])
-      ); // Close price
+      const liveCandle = this.candleStore.getLiveCandle();
+      if (liveCandle) {
+        this.currentPrice = liveCandle.close;
+      }
 
       logger.info(
-        `Loaded ${this.historicalPrices.length} historical price points`
+        `Loaded ${candles.length} closed historical ${
+          this.symbol
+        } candles (timeframes: ${this.getTimeframes().join(", ")})`
       );
 
       // Notify callback if registered
       if (this.callbacks.onHistoricalDataLoaded) {
-        this.callbacks.onHistoricalDataLoaded(this.historicalPrices);
+        this.callbacks.onHistoricalDataLoaded(candles);
       }
 
-      return this.historicalPrices;
+      return candles;
     } catch (error) {
       logger.error("Error loading historical data:", error.message);
       throw error;
     }
   }
 
+  /**
+   * Fetch klines from the Binance REST API
+   * @param {string} interval Kline interval, e.g. '1m' or '4h'
+   * @param {number} limit Number of klines, the last one still open
+   * @returns {Array} Candles, oldest first
+   */
+  async fetchKlines(interval, limit) {
+    const response = await axios.get(
+      `${config.binance.restEndpoint}/api/v3/klines`,
+      {
+        params: {
+          symbol: this.symbol,
+          interval,
+          limit,
+        },
+      }
+    );
+    return response.data.map(parseRestKline);
+  }
+
   /**
    * Connect to Binance WebSocket for real-time price updates
    */
@@ -94,9 +186,7 @@ class BinanceService {
       const subscriptionMsg = JSON.stringify({
         method: "SUBSCRIBE",
         params: [
-          `${config.binance.symbol.toLowerCase()}@kline_${
-            config.binance.candleInterval
-          }`,
+          `${this.symbol.toLowerCase()}@kline_${config.binance.candleInterval}`,
         ],
         id: 1,
       });
@@ -110,21 +200,26 @@ class BinanceService {
 
         // Process kline data
         if (message.e === "kline") {
-          const candle = message.k;
-          const closePrice = parseFloat(candle.c);
+          const candle = parseStreamKline(message.k);
+
+          // Updates for the open candle replace it; it joins the history once closed
+          if (!this.candleStore.update(candle)) {
+            return;
+          }
 
           // Update the latest price
-          this.currentPrice = closePrice;
+          this.currentPrice = candle.close;
 
-          // Update historical prices array
-          this.historicalPrices.push(closePrice);
-          if (this.historicalPrices.length > 100) {
-            this.historicalPrices.shift(); // Keep array size manageable
+          if (candle.closed) {
+            this.notifyCandlesClosed([
+              { timeframe: this.interval, candle },
+              ...this.aggregator.addCandle(candle),
+            ]);
           }
 
           // Notify callback if registered
           if (this.callbacks.onPriceUpdate) {
-            this.callbacks.onPriceUpdate(closePrice, this.historicalPrices);
+            this.callbacks.onPriceUpdate(candle.close, candle);
           }
         }
       } catch (error) {
@@ -149,12 +244,33 @@ class BinanceService {
 
   /**
    * Register a callback for price updates
-   * @param {Function} callback Function to call on price update
+   * @param {Function} callback Function called with (price, candle); candle.closed
+   *   is true once per candle, when it is final
    */
   onPriceUpdate(callback) {
     this.callbacks.onPriceUpdate = callback;
   }
 
+  /**
+   * Register a callback for closed candles of every timeframe
+   * @param {Function} callback Function called with (timeframe, candle)
+   */
+  onCandleClosed(callback) {
+    this.callbacks.onCandleClosed = callback;
+  }
+
+  /**
+   * Pass closed candles to the registered callback, shortest timeframe first
+   * @param {Array} closed Closed candles as { timeframe, candle }
+   */
+  notifyCandlesClosed(closed) {
+    if (this.callbacks.onCandleClosed) {
+      closed.forEach(({ timeframe, candle }) =>
+        this.callbacks.onCandleClosed(timeframe, candle)
+      );
+    }
+  }
+
   /**
    * Register a callback for when historical data is loaded
    * @param {Function} callback Function to call when historical data is loaded
@@ -171,12 +287,54 @@ class BinanceService {
     return this.currentPrice;
   }
 
+  /**
+   * Get the base interval followed by the aggregated timeframes
+   * @returns {Array} Timeframe names, e.g. ['1m', '5m', '1h']
+   */
+  getTimeframes() {
+    return [this.interval, ...this.aggregator.getTimeframes()];
+  }
+
+  /**
+   * Get historical candles
+   * @param {Boolean} includeLive Append the candle that is still open
+   * @param {string} timeframe Timeframe, defaults to the base interval
+   * @returns {Array} Candles, oldest first
+   */
+  getCandles(includeLive = false, timeframe = this.interval) {
+    if (timeframe === this.interval) {
+      return this.candleStore.getCandles(includeLive);
+    }
+
+    const candles = this.aggregator.getClosedCandles(timeframe);
+    const liveCandle = includeLive ? this.getLiveCandle(timeframe) : null;
+    if (liveCandle) {
+      candles.push(liveCandle);
+    }
+    return candles;
+  }
+
+  /**
+   * Get the candle that is still open
+   * @param {string} timeframe Timeframe, defaults to the base interval
+   * @returns {Object|null} Live candle or null between candles
+   */
+  getLiveCandle(timeframe = this.interval) {
+    if (timeframe === this.interval) {
+      return this.candleStore.getLiveCandle();
+    }
+    return this.aggregator.getLiveCandle(
+      timeframe,
+      this.candleStore.getLiveCandle()
+    );
+  }
+
   /**
    * Get historical prices
-   * @returns {Array} Array of historical prices
+   * @returns {Array} Array of closed candle close prices
    */
   getHistoricalPrices() {
-    return this.historicalPrices;
+    return this.candleStore.getClosedCandles().map((candle) => candle.close);
   }
 
   /**
@@ -190,4 +348,4 @@ class BinanceService {
   }
 }
 
-module.exports = new BinanceService();
+module.exports = BinanceService;
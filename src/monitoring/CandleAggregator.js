@@ -0,0 +1,184 @@
+/**
+ * CandleAggregator Module
+ * Builds higher timeframe candles (5m, 1h, ...) from closed base candles
+ *
+ * Each timeframe keeps its closed candles in a CandleStore plus the candle it
+ * is still building. A timeframe candle closes with the last base candle of
+ * its period; if that base candle is missed, it closes when the next period
+ * starts.
+ */
+
+const CandleStore = require("./CandleStore");
+const { parseInterval, bucketStart } = require("../../utils/interval");
+
+/**
+ * Fold a base candle into a timeframe candle
+ * @param {Object|null} candle Timeframe candle being built
+ * @param {Object} base Base candle
+ * @param {number} openTime Open time of the timeframe candle
+ * @param {number} intervalMs Timeframe length in ms
+ * @returns {Object} Updated timeframe candle
+ */
+function merge(candle, base, openTime, intervalMs) {
+  if (!candle) {
+    return {
+      openTime,
+      open: base.open,
+      high: base.high,
+      low: base.low,
+      close: base.close,
+      volume: base.volume,
+      closeTime: openTime + intervalMs - 1,
+      closed: false,
+    };
+  }
+
+  return {
+    ...candle,
+    high: Math.max(candle.high, base.high),
+    low: Math.min(candle.low, base.low),
+    close: base.close,
+    volume: candle.volume + base.volume,
+  };
+}
+
+class CandleAggregator {
+  /**
+   * @param {string} baseInterval Interval of the candles fed in, e.g. '1m'
+   * @param {Array} timeframes Timeframes to build, e.g. ['5m', '1h']
+   * @param {number} limit Closed candles to keep per timeframe
+   */
+  constructor(baseInterval, timeframes, limit = 100) {
+    this.baseMs = parseInterval(baseInterval);
+    this.series = new Map();
+
+    for (const timeframe of timeframes) {
+      const intervalMs = parseInterval(timeframe);
+      if (intervalMs <= this.baseMs || intervalMs % this.baseMs !== 0) {
+        throw new Error(
+          `Timeframe ${timeframe} is not a multiple of ${baseInterval}`
+        );
+      }
+      this.series.set(timeframe, {
+        intervalMs,
+        store: new CandleStore(limit),
+        building: null,
+      });
+    }
+  }
+
+  /**
+   * Get the timeframes being built
+   * @returns {Array} Timeframe names
+   */
+  getTimeframes() {
+    return Array.from(this.series.keys());
+  }
+
+  /**
+   * Load closed history for a timeframe, e.g. from the REST API
+   * @param {string} timeframe Timeframe name
+   * @param {Array} candles Candles sorted by open time; open ones are skipped
+   */
+  load(timeframe, candles) {
+    const series = this.getSeries(timeframe);
+    series.store.load(candles.filter((candle) => candle.closed));
+    series.building = null;
+  }
+
+  /**
+   * Feed closed base candles that make up the periods still in progress
+   * @param {Array} candles Closed base candles sorted by open time
+   * @returns {Array} Timeframe candles that closed, as { timeframe, candle }
+   */
+  seed(candles) {
+    return candles.flatMap((candle) => this.addCandle(candle));
+  }
+
+  /**
+   * Add a closed base candle to every timeframe
+   * @param {Object} base Closed base candle
+   * @returns {Array} Timeframe candles that closed, as { timeframe, candle }
+   */
+  addCandle(base) {
+    const closed = [];
+
+    for (const [timeframe, series] of this.series) {
+      const { intervalMs, store } = series;
+      const openTime = bucketStart(base.openTime, intervalMs);
+
+      // Already covered by loaded history
+      const last = store.getLastClosedCandle();
+      if (last && openTime <= last.openTime) continue;
+
+      // The previous period ended without its last base candle
+      if (series.building && series.building.openTime !== openTime) {
+        closed.push(this.close(timeframe, series));
+      }
+
+      series.building = merge(series.building, base, openTime, intervalMs);
+
+      if (base.openTime + this.baseMs >= openTime + intervalMs) {
+        closed.push(this.close(timeframe, series));
+      }
+    }
+
+    return closed;
+  }
+
+  /**
+   * Move a timeframe's building candle into its closed history
+   * @param {string} timeframe Timeframe name
+   * @param {Object} series Timeframe state
+   * @returns {Object} { timeframe, candle }
+   */
+  close(timeframe, series) {
+    const candle = { ...series.building, closed: true };
+    series.store.update(candle);
+    series.building = null;
+    return { timeframe, candle };
+  }
+
+  /**
+   * Get a timeframe's closed candles
+   * @param {string} timeframe Timeframe name
+   * @returns {Array} Candles, oldest first
+   */
+  getClosedCandles(timeframe) {
+    return this.getSeries(timeframe).store.getClosedCandles();
+  }
+
+  /**
+   * Timeframe candle in progress, including the open base candle if given
+   * @param {string} timeframe Timeframe name
+   * @param {Object} baseLive Open base candle
+   * @returns {Object|null} Live candle or null if the period has no data yet
+   */
+  getLiveCandle(timeframe, baseLive = null) {
+    const series = this.getSeries(timeframe);
+    if (!baseLive) {
+      return series.building;
+    }
+
+    const openTime = bucketStart(baseLive.openTime, series.intervalMs);
+    const building =
+      series.building && series.building.openTime === openTime
+        ? series.building
+        : null;
+    return merge(building, baseLive, openTime, series.intervalMs);
+  }
+
+  /**
+   * @param {string} timeframe Timeframe name
+   * @returns {Object} Timeframe state
+   */
+  getSeries(timeframe) {
+    const series = this.series.get(timeframe);
+    if (!series) {
+      throw new Error(`Timeframe ${timeframe} is not aggregated`);
+    }
+    return series;
+  }
+}
+
+module.exports = CandleAggregator;
@@ -0,0 +1,106 @@
+/**
+ * CandleStore Module
+ * Keeps OHLCV candles keyed by open time
+ *
+ * Binance streams the open candle several times per interval; those updates
+ * replace the live candle in place. A candle only joins the closed history
+ * once it is marked final (k.x on the stream, or a close time in the past for
+ * REST klines).
+ */
+
+class CandleStore {
+  /**
+   * @param {number} limit Closed candles to keep
+   */
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.closed = new Map(); // openTime -> candle, oldest first
+    this.lastClosed = null;
+    this.live = null;
+  }
+
+  /**
+   * Replace the store's contents with a batch of candles
+   * @param {Array} candles Candles sorted by open time
+   */
+  load(candles) {
+    this.closed.clear();
+    this.lastClosed = null;
+    this.live = null;
+    candles.forEach((candle) => this.update(candle));
+  }
+
+  /**
+   * Apply a candle update
+   * @param {Object} candle Candle with openTime and closed flag
+   * @returns {Boolean} False if the update was stale or a repeated close
+   */
+  update(candle) {
+    if (this.lastClosed && candle.openTime < this.lastClosed.openTime) {
+      return false;
+    }
+
+    if (!candle.closed) {
+      if (this.closed.has(candle.openTime)) {
+        return false;
+      }
+      this.live = candle;
+      return true;
+    }
+
+    if (this.closed.has(candle.openTime)) {
+      return false;
+    }
+
+    this.closed.set(candle.openTime, candle);
+    this.lastClosed = candle;
+    if (this.live && this.live.openTime <= candle.openTime) {
+      this.live = null;
+    }
+
+    // Maps iterate in insertion order, so the first key is the oldest
+    if (this.closed.size > this.limit) {
+      this.closed.delete(this.closed.keys().next().value);
+    }
+    return true;
+  }
+
+  /**
+   * Get closed candles
+   * @returns {Array} Closed candles, oldest first
+   */
+  getClosedCandles() {
+    return Array.from(this.closed.values());
+  }
+
+  /**
+   * Get the most recent closed candle
+   * @returns {Object|null} Candle or null if none closed yet
+   */
+  getLastClosedCandle() {
+    return this.lastClosed;
+  }
+
+  /**
+   * Get the candle that is still open
+   * @returns {Object|null} Live candle or null between candles
+   */
+  getLiveCandle() {
+    return this.live;
+  }
+
+  /**
+   * Get candles for indicator calculation
+   * @param {Boolean} includeLive Append the open candle if there is one
+   * @returns {Array} Candles, oldest first
+   */
+  getCandles(includeLive = false) {
+    const candles = this.getClosedCandles();
+    if (includeLive && this.live) {
+      candles.push(this.live);
+    }
+    return candles;
+  }
+}
+
+module.exports = CandleStore;
@@ -1,16 +1,22 @@
 /**
  * DexPriceMonitor Module
- * Monitors prices on DEX (PancakeSwap) and calculates price differences
+ * Monitors prices across the configured DEX venues and calculates price differences
  */
 
 const { ethers } = require("ethers");
 const config = require("../../config");
 const logger = require("../../utils/logger");
-const contracts = require("../../utils/contract");
+const DexAggregator = require("../dex/DexAggregator");
 
 class DexPriceMonitor {
-  constructor() {
+  /**
+   * @param {Object} pair Resolved pair from PairRegistry
+   */
+  constructor(pair) {
+    this.pair = pair;
     this.price = 0;
+    this.venuePrices = {}; // venue name -> price of 1 base token
+    this.bestVenue = null;
     this.updateInterval = null;
     this.callbacks = {
       onPriceUpdate: null,
@@ -22,7 +28,7 @@ class DexPriceMonitor {
    */
   async initialize() {
     try {
-      logger.info("Initializing DEX price monitor...");
+      logger.info(`Initializing DEX price monitor for ${this.pair.id}...`);
 
       // Get initial price
       await this.updatePrice();
@@ -56,23 +62,38 @@ class DexPriceMonitor {
   }
 
   /**
-   * Update the current price from the DEX
+   * Update the current price from every DEX venue. The tracked price is the
+   * best venue's, the one a sell would be routed to
    */
   async updatePrice() {
     try {
-      // We're checking the price of 1 WBTC in BUSD
-      const path = [config.tokens.WBTC, config.tokens.BUSD];
-      const amountIn = ethers.parseUnits("1", 8); // WBTC has 8 decimals
-
-      const amounts = await contracts.pancakeRouter.getAmountsOut(
-        amountIn,
-        path
+      // We're checking the price of 1 base token in the quote token
+      const { base, quote } = this.pair;
+      const amountIn = ethers.parseUnits("1", base.decimals);
+
+      const quotes = await DexAggregator.getQuotes(
+        base.address,
+        quote.address,
+        amountIn
       );
-      const wbtcPriceInBusd = ethers.formatUnits(amounts[1], 18); // BUSD has 18 decimals
+      if (quotes.length === 0) {
+        throw new Error(`No DEX venue quotes ${this.pair.id}`);
+      }
 
-      this.price = parseFloat(wbtcPriceInBusd);
+      this.venuePrices = {};
+      for (const venueQuote of quotes) {
+        this.venuePrices[venueQuote.venue] = parseFloat(
+          ethers.formatUnits(venueQuote.amountOut, quote.decimals)
+        );
+      }
+      this.bestVenue = quotes[0].venue;
+      this.price = this.venuePrices[this.bestVenue];
 
-      logger.debug(`DEX price updated: 1 WBTC = ${this.price.toFixed(2)} BUSD`);
+      logger.debug(
+        `DEX price updated: 1 ${base.symbol} = ${this.price.toFixed(2)} ${
+          quote.symbol
+        } on ${this.bestVenue} (${quotes.length} venues quoted)`
+      );
 
       // Notify callback if registered
       if (this.callbacks.onPriceUpdate) {
@@ -81,7 +102,7 @@ class DexPriceMonitor {
 
       return this.price;
     } catch (error) {
-      logger.error("Error updating DEX price:", error.message);
+      logger.error(`Error updating ${this.pair.id} DEX price:`, error.message);
       throw error;
     }
   }
@@ -94,6 +115,14 @@ class DexPriceMonitor {
     return this.price;
   }
 
+  /**
+   * Get the latest price on every venue that quoted the pair
+   * @returns {Object} Prices keyed by venue name
+   */
+  getVenuePrices() {
+    return this.venuePrices;
+  }
+
   /**
    * Calculate price difference between Binance and DEX as percentage
    * @param {number} binancePrice Current price on Binance
@@ -146,4 +175,4 @@ class DexPriceMonitor {
   }
 }
 
-module.exports = new DexPriceMonitor();
+module.exports = DexPriceMonitor;
@@ -1,11 +1,94 @@
 /**
  * IndicatorCalculator Module
- * Calculates technical indicators based on price data
+ * Calculates technical indicators based on candle data
+ *
+ * RSI and EMA drive the default strategy and must be available before signals
+ * are checked. The extended set (extra EMAs, MACD, Bollinger Bands, ATR,
+ * Stochastic RSI, VWAP) is configured in config.indicators and each value
+ * stays null until there are enough candles for it.
+ *
+ * Indicators are kept as streaming state and advanced once per closed
+ * candle; peekIndicators() includes the open candle without advancing them.
+ * test/IndicatorCalculator.test.js checks them against technicalindicators'
+ * batch calculations.
  */
 
-const technicalindicators = require("technicalindicators");
 const config = require("../../config");
 const logger = require("../../utils/logger");
+const {
+  RSI,
+  EMA,
+  MACD,
+  BollingerBands,
+  ATR,
+  StochasticRSI,
+  RollingVWAP,
+} = require("./StreamingIndicators");
+
+/**
+ * Indicator value or null if it is missing or invalid
+ * @param {*} value Indicator output
+ * @returns {*} Value or null
+ */
+function valueOrNull(value) {
+  return value === undefined || Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Accept plain closes as well as candles; a close-only candle has no range
+ * or volume, so ATR only sees close-to-close moves and VWAP stays null
+ * @param {Object|number} candle Candle or close price
+ * @returns {Object} Candle with open, high, low, close and volume
+ */
+function toCandle(candle) {
+  if (typeof candle === "number") {
+    return {
+      open: candle,
+      high: candle,
+      low: candle,
+      close: candle,
+      volume: 0,
+    };
+  }
+  return candle;
+}
+
+/**
+ * @param {Object} value MACD output
+ * @returns {Object|null} MACD line, signal and histogram
+ */
+function formatMacd(value) {
+  // The signal line needs signalPeriod more closes than the MACD line
+  return value && value.signal !== undefined
+    ? { macd: value.MACD, signal: value.signal, histogram: value.histogram }
+    : null;
+}
+
+/**
+ * @param {Object} value Bollinger Bands output
+ * @returns {Object|null} Bands and %B
+ */
+function formatBollinger(value) {
+  return value
+    ? {
+        upper: value.upper,
+        middle: value.middle,
+        lower: value.lower,
+        // Collapsed bands (no price movement) make %B 0 / 0
+        percentB: valueOrNull(value.pb),
+      }
+    : null;
+}
+
+/**
+ * @param {Object} value Stochastic RSI output
+ * @returns {Object|null} Raw stochastic RSI with its K and D lines
+ */
+function formatStochRsi(value) {
+  return value && value.d !== undefined
+    ? { stochRsi: value.stochRSI, k: value.k, d: value.d }
+    : null;
+}
 
 class IndicatorCalculator {
   constructor() {
@@ -14,19 +97,61 @@ class IndicatorCalculator {
       ema: null,
       previousRsi: null,
       previousEma: null,
+      emas: {},
+      macd: null,
+      bollinger: null,
+      atr: null,
+      stochRsi: null,
+      vwap: null,
     };
+    this.streams = this.createStreams();
     this.callbacks = {
       onIndicatorsUpdated: null,
     };
   }
 
+  /**
+   * Create empty streaming state for the configured indicators
+   * @returns {Object} Streaming indicators by name, null when disabled
+   */
+  createStreams() {
+    const { rsi, ema, macd, bollinger, atr, stochRsi, vwap } =
+      config.indicators;
+    const emas = {};
+    for (const period of ema.periods || []) {
+      emas[period] = new EMA(period);
+    }
+
+    return {
+      rsi: new RSI(rsi.period),
+      ema: new EMA(ema.period),
+      emas,
+      macd: macd.enabled ? new MACD(macd) : null,
+      bollinger: bollinger.enabled ? new BollingerBands(bollinger) : null,
+      atr: atr.enabled ? new ATR(atr.period) : null,
+      stochRsi: stochRsi.enabled ? new StochasticRSI(stochRsi) : null,
+      vwap: vwap.enabled ? new RollingVWAP(vwap.period) : null,
+    };
+  }
+
   /**
    * Initialize the indicator calculator
-   * @param {Array} historicalPrices Initial historical prices
+   * @param {Array} historicalCandles Initial historical candles
    */
-  initialize(historicalPrices) {
-    if (historicalPrices && historicalPrices.length > 0) {
-      this.updateIndicators(historicalPrices);
+  initialize(historicalCandles) {
+    if (historicalCandles && historicalCandles.length > 0) {
+      const candles = historicalCandles.map(toCandle);
+
+      this.streams = this.createStreams();
+      candles.slice(0, -1).forEach((candle) => this.advance(candle));
+      // Trend checks compare against the step before the last candle
+      const { rsi: previousRsi, ema: previousEma } = this.readStreams();
+      this.advance(candles[candles.length - 1]);
+      Object.assign(this.indicators, this.readStreams(), {
+        previousRsi,
+        previousEma,
+      });
+
       logger.info("Indicator calculator initialized with historical data");
       return true;
     } else {
@@ -36,36 +161,33 @@ class IndicatorCalculator {
   }
 
   /**
-   * Update indicators with new price data
-   * @param {Array} prices Array of price data
+   * Update indicators with the next candle
+   * @param {Object|number} candle Candle ({ open, high, low, close, volume })
+   *   or close price
+   * @returns {Boolean} True if RSI and EMA are available
    */
-  updateIndicators(prices) {
-    if (!prices || prices.length < config.indicators.rsi.period) {
+  updateIndicators(candle) {
+    // Store previous values for trend detection
+    const previousRsi = this.indicators.rsi;
+    const previousEma = this.indicators.ema;
+
+    this.advance(toCandle(candle));
+    Object.assign(this.indicators, this.readStreams());
+
+    if (this.indicators.rsi === null || this.indicators.ema === null) {
+      // RSI needs one extra point to produce its first value
+      const requiredPoints = Math.max(
+        config.indicators.rsi.period + 1,
+        config.indicators.ema.period
+      );
       logger.warn(
-        `Not enough price data to calculate indicators. Need at least ${config.indicators.rsi.period} data points.`
+        `Not enough price data to calculate indicators. Need at least ${requiredPoints} data points.`
       );
       return false;
     }
 
-    // Store previous values for trend detection
-    this.indicators.previousRsi = this.indicators.rsi;
-    this.indicators.previousEma = this.indicators.ema;
-
-    // Calculate RSI
-    const rsiInput = {
-      values: prices,
-      period: config.indicators.rsi.period,
-    };
-    const rsiValues = technicalindicators.RSI.calculate(rsiInput);
-    this.indicators.rsi = rsiValues[rsiValues.length - 1];
-
-    // Calculate EMA
-    const emaInput = {
-      values: prices,
-      period: config.indicators.ema.period,
-    };
-    const emaValues = technicalindicators.EMA.calculate(emaInput);
-    this.indicators.ema = emaValues[emaValues.length - 1];
+    this.indicators.previousRsi = previousRsi;
+    this.indicators.previousEma = previousEma;
 
     logger.debug(
       `Updated indicators: RSI = ${this.indicators.rsi.toFixed(
@@ -75,18 +197,100 @@ class IndicatorCalculator {
 
     // Notify callback if registered
     if (this.callbacks.onIndicatorsUpdated) {
-      this.callbacks.onIndicatorsUpdated({ ...this.indicators });
+      this.callbacks.onIndicatorsUpdated(this.getIndicators());
     }
 
     return true;
   }
 
+  /**
+   * Indicator values with a candle that is still open included, leaving the
+   * streams at the last closed candle
+   * @param {Object|number} candle Open candle or current price
+   * @returns {Object} Indicator values shaped like getIndicators()
+   */
+  peekIndicators(candle) {
+    const streams = this.cloneStreams();
+    this.advance(toCandle(candle), streams);
+
+    return {
+      ...this.readStreams(streams),
+      previousRsi: this.indicators.rsi,
+      previousEma: this.indicators.ema,
+    };
+  }
+
+  /**
+   * Copy the streaming state so it can be advanced without side effects
+   * @returns {Object} Streaming indicators by name
+   */
+  cloneStreams() {
+    const clone = (stream) => (stream ? stream.clone() : null);
+    const emas = {};
+    for (const [period, stream] of Object.entries(this.streams.emas)) {
+      emas[period] = stream.clone();
+    }
+
+    return {
+      rsi: clone(this.streams.rsi),
+      ema: clone(this.streams.ema),
+      emas,
+      macd: clone(this.streams.macd),
+      bollinger: clone(this.streams.bollinger),
+      atr: clone(this.streams.atr),
+      stochRsi: clone(this.streams.stochRsi),
+      vwap: clone(this.streams.vwap),
+    };
+  }
+
+  /**
+   * Feed one candle to every streaming indicator
+   * @param {Object} candle Normalized candle
+   * @param {Object} streams Streams to advance, defaults to the calculator's own
+   */
+  advance(candle, streams = this.streams) {
+    const { rsi, ema, emas, macd, bollinger, atr, stochRsi, vwap } = streams;
+
+    rsi.next(candle.close);
+    ema.next(candle.close);
+    Object.values(emas).forEach((stream) => stream.next(candle.close));
+    if (macd) macd.next(candle.close);
+    if (bollinger) bollinger.next(candle.close);
+    if (atr) atr.next(candle);
+    if (stochRsi) stochRsi.next(candle.close);
+    if (vwap) vwap.next(candle);
+  }
+
+  /**
+   * Read the current values of a set of streams
+   * @param {Object} streams Streams to read, defaults to the calculator's own
+   * @returns {Object} Indicator values without the previous RSI/EMA
+   */
+  readStreams(streams = this.streams) {
+    const { rsi, ema, emas, macd, bollinger, atr, stochRsi, vwap } = streams;
+    const values = {
+      rsi: valueOrNull(rsi.value),
+      ema: valueOrNull(ema.value),
+      emas: {},
+      macd: macd ? formatMacd(macd.value) : null,
+      bollinger: bollinger ? formatBollinger(bollinger.value) : null,
+      atr: atr ? valueOrNull(atr.value) : null,
+      stochRsi: stochRsi ? formatStochRsi(stochRsi.value) : null,
+      vwap: vwap ? valueOrNull(vwap.value) : null,
+    };
+
+    for (const [period, stream] of Object.entries(emas)) {
+      values.emas[period] = valueOrNull(stream.value);
+    }
+    return values;
+  }
+
   /**
    * Get the current indicators
    * @returns {Object} Current indicator values
    */
   getIndicators() {
-    return { ...this.indicators };
+    return { ...this.indicators, emas: { ...this.indicators.emas } };
   }
 
   /**
@@ -164,4 +368,4 @@ class IndicatorCalculator {
   }
 }
 
-module.exports = new IndicatorCalculator();
+module.exports = IndicatorCalculator;
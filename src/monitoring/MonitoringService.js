@@ -7,10 +7,14 @@ const logger = require("../../utils/logger");
 const config = require("../../config");
 const TaapiService = require("./TaapiService");
 const DexPriceMonitor = require("./DexPriceMonitor");
+const PairRegistry = require("../trading/PairRegistry");
+const { loadStrategy, evaluateStrategy } = require("../strategies");
 
 class MonitoringService {
   constructor() {
     this.isRunning = false;
+    this.dexPriceMonitor = null;
+    this.strategy = loadStrategy();
     this.marketData = {
       centralized: {
         price: 0,
@@ -37,8 +41,11 @@ class MonitoringService {
       // Initialize TAAPI service for centralized exchange data and indicators
       await TaapiService.initialize();
 
-      // Initialize DEX price monitor for decentralized exchange prices
-      await DexPriceMonitor.initialize();
+      // Initialize DEX price monitor for decentralized exchange prices,
+      // on the first configured pair since TAAPI tracks BTC/USDT
+      const pair = await PairRegistry.resolvePair(config.pairs[0].id);
+      this.dexPriceMonitor = new DexPriceMonitor(pair);
+      await this.dexPriceMonitor.initialize();
 
       // Set up data flow between components
       this.setupDataFlow();
@@ -81,7 +88,7 @@ class MonitoringService {
     });
 
     // DEX price updates flow
-    DexPriceMonitor.onPriceUpdate((price) => {
+    this.dexPriceMonitor.onPriceUpdate((price) => {
       this.marketData.dex.price = price;
 
       // Update price difference whenever DEX price changes
@@ -117,43 +124,41 @@ class MonitoringService {
   }
 
   /**
-   * Check if it's a good time to buy on DEX based on indicators and price difference
+   * Evaluate the configured strategy against the current market data
+   * @param {string|null} positionType Position to evaluate from: null (flat) or 'long'
+   * @returns {Object} Strategy decision { action, reason }
    */
-  isPotentialBuyOpportunity() {
+  evaluateSide(positionType) {
     const data = this.marketData;
+    const snapshot = {
+      pair: config.pairs[0].id,
+      binancePrice: data.centralized.price,
+      dexPrice: data.dex.price,
+      indicators: data.centralized.indicators,
+      timeframes: {}, // TAAPI only provides the base interval
+      timestamp: data.timestamp,
+    };
 
-    // Check if price difference exceeds threshold (centralized > DEX)
-    const priceDiffCheck =
-      data.priceDifference > config.trading.minProfitThreshold;
-
-    // Check if RSI indicates oversold condition
-    const rsiCheck = TaapiService.isRsiOversold();
-
-    // Check if price is below EMA (potential upward movement)
-    const emaCheck = TaapiService.isPriceBelowEma();
+    // No position is held here, so each side is evaluated as if it could be taken
+    return evaluateStrategy(this.strategy, snapshot, {
+      type: positionType,
+      entryPrice: null,
+      highestPrice: null,
+    });
+  }
 
-    // For a buy opportunity, we want price difference AND (oversold OR below EMA)
-    return priceDiffCheck && (rsiCheck || emaCheck);
+  /**
+   * Check if the strategy would buy on DEX with no position open
+   */
+  isPotentialBuyOpportunity() {
+    return this.evaluateSide(null).action === "buy";
   }
 
   /**
-   * Check if it's a good time to sell on DEX based on indicators and price difference
+   * Check if the strategy would sell on DEX while holding a position
    */
   isPotentialSellOpportunity() {
-    const data = this.marketData;
-
-    // Check if price difference is negative and exceeds threshold (DEX > centralized)
-    const priceDiffCheck =
-      data.priceDifference < -config.trading.minProfitThreshold;
-
-    // Check if RSI indicates overbought condition
-    const rsiCheck = TaapiService.isRsiOverbought();
-
-    // Check if price is above EMA (potential downward movement)
-    const emaCheck = TaapiService.isPriceAboveEma();
-
-    // For a sell opportunity, we want price difference AND (overbought OR above EMA)
-    return priceDiffCheck && (rsiCheck || emaCheck);
+    return this.evaluateSide("long").action === "sell";
   }
 
   /**
@@ -163,7 +168,7 @@ class MonitoringService {
     if (this.isRunning) {
       logger.info("Shutting down Monitoring Service...");
       TaapiService.shutdown();
-      DexPriceMonitor.shutdown();
+      this.dexPriceMonitor.shutdown();
       this.isRunning = false;
       logger.info("Monitoring Service shutdown complete");
     }
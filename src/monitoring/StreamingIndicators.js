@@ -0,0 +1,342 @@
+/**
+ * StreamingIndicators Module
+ * Indicators that keep running state and update per value instead of
+ * recalculating over the whole price history
+ *
+ * Each indicator follows the same arithmetic as its technicalindicators
+ * counterpart, so a stream fed the same values produces the same output as
+ * the library's batch calculate(). Work per value is constant: O(1) for the
+ * moving averages, RSI, ATR and VWAP, O(period) for the Bollinger deviation
+ * and the Stochastic RSI range.
+ *
+ * next(input) consumes a value and returns the indicator's new value;
+ * peek(input) returns what next() would return without consuming it.
+ * Both return undefined until the indicator has enough data.
+ */
+
+class StreamingIndicator {
+  constructor() {
+    this.value = undefined;
+  }
+
+  /**
+   * Consume one input and return the updated value
+   * @param {number|Object} input Close price or candle
+   * @returns {*} Indicator value or undefined while warming up
+   */
+  next(input) {
+    this.value = this.update(input);
+    return this.value;
+  }
+
+  /**
+   * Value next() would return for an input, leaving the state untouched
+   * @param {number|Object} input Close price or candle
+   * @returns {*} Indicator value or undefined while warming up
+   */
+  peek(input) {
+    return this.clone().next(input);
+  }
+
+  /**
+   * Copy of the indicator and its nested state
+   * @returns {StreamingIndicator} Independent copy
+   */
+  clone() {
+    const copy = Object.create(Object.getPrototypeOf(this));
+    for (const [key, value] of Object.entries(this)) {
+      if (value instanceof StreamingIndicator) {
+        copy[key] = value.clone();
+      } else if (Array.isArray(value)) {
+        copy[key] = [...value];
+      } else {
+        copy[key] = value;
+      }
+    }
+    return copy;
+  }
+}
+
+/**
+ * Fixed-size window of the latest values, oldest first
+ */
+class Window extends StreamingIndicator {
+  constructor(size) {
+    super();
+    this.size = size;
+    this.values = [];
+  }
+
+  update(input) {
+    this.values.push(input);
+    return this.values.length > this.size ? this.values.shift() : undefined;
+  }
+
+  isFull() {
+    return this.values.length === this.size;
+  }
+}
+
+class SMA extends StreamingIndicator {
+  constructor(period) {
+    super();
+    this.period = period;
+    this.window = new Window(period);
+    this.sum = 0;
+  }
+
+  update(input) {
+    const removed = this.window.next(input);
+    if (!this.window.isFull()) {
+      this.sum = this.sum + input;
+      return undefined;
+    }
+    this.sum = this.sum - (removed === undefined ? 0 : removed) + input;
+    return this.sum / this.period;
+  }
+}
+
+/**
+ * Exponential average seeded with the SMA of the first period values
+ *
+ * technicalindicators never emits an EMA whose seed is exactly 0 (it checks
+ * the seed for truthiness); this one does, so a MACD signal line over a
+ * perfectly flat series is 0 here and missing in the library.
+ */
+class EMA extends StreamingIndicator {
+  /**
+   * @param {number} period Period
+   * @param {number} exponent Smoothing factor, 2 / (period + 1) by default
+   */
+  constructor(period, exponent = 2 / (period + 1)) {
+    super();
+    this.exponent = exponent;
+    this.sma = new SMA(period);
+  }
+
+  update(input) {
+    if (this.value === undefined) {
+      return this.sma.next(input);
+    }
+    return (input - this.value) * this.exponent + this.value;
+  }
+}
+
+/**
+ * Wilder's smoothing, used by ATR
+ */
+class WEMA extends EMA {
+  constructor(period) {
+    super(period, 1 / period);
+  }
+}
+
+class RSI extends StreamingIndicator {
+  constructor(period) {
+    super();
+    this.period = period;
+    this.lastValue = undefined;
+    this.count = 0;
+    this.gainSum = 0;
+    this.lossSum = 0;
+    this.avgGain = undefined;
+    this.avgLoss = undefined;
+  }
+
+  update(input) {
+    if (this.lastValue === undefined) {
+      this.lastValue = input;
+      return undefined;
+    }
+
+    const gain = Math.max(input - this.lastValue, 0);
+    const loss = Math.max(this.lastValue - input, 0);
+    this.lastValue = input;
+    this.count++;
+
+    if (this.avgGain === undefined) {
+      this.gainSum = this.gainSum + gain;
+      this.lossSum = this.lossSum + loss;
+      if (this.count < this.period) {
+        return undefined;
+      }
+      this.avgGain = this.gainSum / this.period;
+      this.avgLoss = this.lossSum / this.period;
+    } else {
+      this.avgGain = (this.avgGain * (this.period - 1) + gain) / this.period;
+      this.avgLoss = (this.avgLoss * (this.period - 1) + loss) / this.period;
+    }
+
+    if (this.avgLoss === 0) return 100;
+    if (this.avgGain === 0) return 0;
+    const rs = this.avgGain / this.avgLoss;
+    return parseFloat((100 - 100 / (1 + rs)).toFixed(2));
+  }
+}
+
+class MACD extends StreamingIndicator {
+  constructor({ fastPeriod, slowPeriod, signalPeriod }) {
+    super();
+    this.fast = new EMA(fastPeriod);
+    this.slow = new EMA(slowPeriod);
+    this.signal = new EMA(signalPeriod);
+  }
+
+  update(input) {
+    const fast = this.fast.next(input);
+    const slow = this.slow.next(input);
+    if (fast === undefined || slow === undefined) {
+      return undefined;
+    }
+
+    const macd = fast - slow;
+    const signal = this.signal.next(macd);
+    return {
+      MACD: macd,
+      signal,
+      histogram: signal === undefined ? undefined : macd - signal,
+    };
+  }
+}
+
+class BollingerBands extends StreamingIndicator {
+  constructor({ period, stdDev }) {
+    super();
+    this.period = period;
+    this.stdDev = stdDev;
+    this.sma = new SMA(period);
+    this.window = new Window(period);
+  }
+
+  update(input) {
+    this.window.next(input);
+    const middle = this.sma.next(input);
+    if (middle === undefined) {
+      return undefined;
+    }
+
+    // Population deviation over the window, as technicalindicators' SD
+    let sum = 0;
+    for (const value of this.window.values) {
+      sum = sum + Math.pow(value - middle, 2);
+    }
+    const deviation = Math.sqrt(sum / this.period);
+
+    const upper = middle + deviation * this.stdDev;
+    const lower = middle - deviation * this.stdDev;
+    return {
+      middle,
+      upper,
+      lower,
+      pb: (input - lower) / (upper - lower),
+    };
+  }
+}
+
+class ATR extends StreamingIndicator {
+  constructor(period) {
+    super();
+    this.wema = new WEMA(period);
+    this.previousClose = undefined;
+  }
+
+  update(candle) {
+    const previousClose = this.previousClose;
+    this.previousClose = candle.close;
+    if (previousClose === undefined) {
+      return undefined;
+    }
+
+    const trueRange = Math.max(
+      candle.high - candle.low,
+      Math.abs(candle.high - previousClose),
+      Math.abs(candle.low - previousClose)
+    );
+    return this.wema.next(trueRange);
+  }
+}
+
+/**
+ * Stochastic oscillator applied to RSI, smoothed into K and D lines
+ */
+class StochasticRSI extends StreamingIndicator {
+  constructor({ rsiPeriod, stochasticPeriod, kPeriod, dPeriod }) {
+    super();
+    this.rsi = new RSI(rsiPeriod);
+    this.window = new Window(stochasticPeriod);
+    this.kSma = new SMA(kPeriod);
+    this.dSma = new SMA(dPeriod);
+  }
+
+  update(input) {
+    const rsi = this.rsi.next(input);
+    if (rsi === undefined) {
+      return this.value;
+    }
+
+    this.window.next(rsi);
+    if (!this.window.isFull()) {
+      return this.value;
+    }
+
+    const low = Math.min(...this.window.values);
+    const high = Math.max(...this.window.values);
+    // A flat window gives 0 / 0; technicalindicators reports it as 0
+    const stochRsi = high === low ? 0 : ((rsi - low) / (high - low)) * 100;
+
+    const k = this.kSma.next(stochRsi);
+    if (k === undefined) {
+      return this.value;
+    }
+    const d = this.dSma.next(k);
+    if (d === undefined) {
+      return this.value;
+    }
+    return { stochRSI: stochRsi, k, d };
+  }
+}
+
+/**
+ * VWAP over the latest period candles, kept as running sums
+ */
+class RollingVWAP extends StreamingIndicator {
+  constructor(period) {
+    super();
+    this.window = new Window(period);
+    this.totalValue = 0;
+    this.totalVolume = 0;
+  }
+
+  update(candle) {
+    const entry = {
+      value: ((candle.high + candle.low + candle.close) / 3) * candle.volume,
+      volume: candle.volume,
+    };
+    const removed = this.window.next(entry);
+
+    this.totalValue = this.totalValue + entry.value;
+    this.totalVolume = this.totalVolume + entry.volume;
+    if (removed) {
+      this.totalValue = this.totalValue - removed.value;
+      this.totalVolume = this.totalVolume - removed.volume;
+    }
+
+    if (!this.window.isFull() || this.totalVolume <= 0) {
+      return undefined;
+    }
+    return this.totalValue / this.totalVolume;
+  }
+}
+
+module.exports = {
+  StreamingIndicator,
+  SMA,
+  EMA,
+  WEMA,
+  RSI,
+  MACD,
+  BollingerBands,
+  ATR,
+  StochasticRSI,
+  RollingVWAP,
+};
@@ -0,0 +1,221 @@
+/**
+ * BalanceReconciler Module
+ * Compares each pair's tracked position with the base token the wallet
+ * actually holds, and flags the pairs where they disagree
+ *
+ * A flat pair holding more than config.reconciliation.dustValue of base is an
+ * untracked holding (manual transfer, a fill whose state update was lost); a
+ * long pair without it is a phantom position. With
+ * config.reconciliation.adopt the tracked position follows the wallet: a
+ * synthetic position is opened at the current DEX price, or the phantom one
+ * is closed. Either way the change is journaled like a trade and recorded
+ * in the trade history, so the PnL ledger's lots follow it.
+ */
+
+const { ethers } = require("ethers");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const CapitalAllocator = require("./CapitalAllocator");
+const TraderRegistry = require("../trading/TraderRegistry");
+const TradeJournal = require("../trading/TradeJournal");
+const TradeExecutor = require("../trading/TradeExecutor");
+const PnlLedger = require("../trading/PnlLedger");
+
+class BalanceReconciler {
+  constructor() {
+    this.results = new Map(); // pair id -> latest reconciliation
+    this.checkedAt = null;
+    this.checkInterval = null;
+    this.callbacks = {
+      onMismatch: [],
+    };
+  }
+
+  /**
+   * Run a first check and start the periodic one.
+   * Needs the pair traders to be registered
+   */
+  async initialize() {
+    logger.info("Initializing balance reconciler...");
+
+    await this.reconcile();
+
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+    }
+    this.checkInterval = setInterval(async () => {
+      await this.reconcile();
+    }, config.reconciliation.interval);
+
+    return true;
+  }
+
+  /**
+   * Check every running pair against the wallet
+   * @returns {Array} Reconciliation of each pair
+   */
+  async reconcile() {
+    for (const trader of TraderRegistry.getTraders()) {
+      try {
+        await this.reconcilePair(trader);
+      } catch (error) {
+        logger.error(
+          `Error reconciling ${trader.pair.id} balances:`,
+          error.message
+        );
+      }
+    }
+    this.checkedAt = new Date();
+    return Array.from(this.results.values());
+  }
+
+  /**
+   * Compare one pair's tracked position with its balances
+   * @param {PairTrader} trader Pair trader
+   * @returns {Object|null} Reconciliation, null while a swap is in flight
+   */
+  async reconcilePair(trader) {
+    const { pair, positionManager, dexPriceMonitor, executionCoordinator } =
+      trader;
+
+    // Balances move mid-swap, so only settled states can be compared
+    const state = executionCoordinator.getState();
+    if (state !== "idle" && state !== "long") {
+      return null;
+    }
+
+    const [baseBalance, quoteBalance] = await Promise.all([
+      CapitalAllocator.getBalance(pair.base.address),
+      CapitalAllocator.getBalance(pair.quote.address),
+    ]);
+    if (executionCoordinator.getState() !== state) {
+      return null;
+    }
+    const base = parseFloat(
+      ethers.formatUnits(baseBalance, pair.base.decimals)
+    );
+    const quote = parseFloat(
+      ethers.formatUnits(quoteBalance, pair.quote.decimals)
+    );
+
+    const price = dexPriceMonitor.getCurrentPrice() || null;
+    if (price === null) {
+      // Without a price there is no telling dust from a position
+      return null;
+    }
+
+    const baseValue = base * price;
+    const held = baseValue >= config.reconciliation.dustValue;
+    const tracked = positionManager.getCurrentPosition().type === "long";
+
+    let mismatch = null;
+    if (held && !tracked) {
+      mismatch = "untracked-holding";
+    } else if (!held && tracked) {
+      mismatch = "phantom-position";
+    }
+
+    const previous = this.results.get(pair.id);
+    let since = null;
+    if (mismatch) {
+      since =
+        previous && previous.mismatch === mismatch
+          ? previous.since
+          : new Date();
+    }
+
+    const result = {
+      pair: pair.id,
+      base: { symbol: pair.base.symbol, balance: base, value: baseValue },
+      quote: { symbol: pair.quote.symbol, balance: quote },
+      price,
+      tracked: tracked ? "long" : null,
+      held: held ? "long" : null,
+      mismatch,
+      adopted: false,
+      since,
+      checkedAt: new Date(),
+    };
+
+    if (mismatch && config.reconciliation.adopt) {
+      this.adopt(trader, mismatch, price, base);
+      result.adopted = true;
+    }
+    this.results.set(pair.id, result);
+
+    // Alert when a mismatch appears, not on every check while it lasts
+    if (mismatch && (!previous || previous.mismatch !== mismatch)) {
+      logger.error(
+        `${pair.id} position mismatch (${mismatch}): tracked ${
+          result.tracked || "flat"
+        }, wallet holds ${base} ${pair.base.symbol} worth ${baseValue.toFixed(
+          2
+        )}${result.adopted ? "; adopted the wallet's state" : ""}`
+      );
+      this.callbacks.onMismatch.forEach((callback) => callback(result));
+    }
+
+    return result;
+  }
+
+  /**
+   * Make the tracked position match the wallet
+   * @param {PairTrader} trader Pair trader
+   * @param {string} mismatch 'untracked-holding' or 'phantom-position'
+   * @param {number} price Current DEX price
+   * @param {number} base Base balance of the wallet
+   */
+  adopt(trader, mismatch, price, base) {
+    const side = mismatch === "untracked-holding" ? "buy" : "sell";
+    const intent = TradeJournal.createIntent(trader.pair.id, side, price);
+    TradeJournal.markConfirmed(intent, price);
+
+    // A dropped position closes whatever lots the ledger still holds
+    const quantity =
+      side === "buy"
+        ? base
+        : PnlLedger.getPairSummary(trader.pair.id).openQuantity;
+    if (quantity > 0) {
+      TradeExecutor.recordAdoptedFill(trader.pair, side, quantity, price);
+    }
+
+    if (side === "buy") {
+      trader.positionManager.openPosition(price);
+    } else {
+      trader.positionManager.closePosition(price);
+    }
+    trader.executionCoordinator.initialize();
+  }
+
+  /**
+   * Latest reconciliation of every pair
+   * @returns {Object} Check time and per-pair results
+   */
+  getStatus() {
+    return {
+      checkedAt: this.checkedAt,
+      adopt: config.reconciliation.adopt,
+      pairs: Array.from(this.results.values()),
+    };
+  }
+
+  /**
+   * Register a callback for new mismatches
+   * @param {Function} callback Function called with the pair's reconciliation
+   */
+  onMismatch(callback) {
+    this.callbacks.onMismatch.push(callback);
+  }
+
+  /**
+   * Stop the periodic check
+   */
+  shutdown() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+}
+
+module.exports = new BalanceReconciler();
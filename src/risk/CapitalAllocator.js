@@ -6,15 +6,25 @@
 const { ethers } = require("ethers");
 const config = require("../../config");
 const logger = require("../../utils/logger");
-const contracts = require("../../utils/contracts");
+const contracts = require("../../utils/contract");
+const PaperLedger = require("../trading/PaperLedger");
 
 class CapitalAllocator {
   constructor() {
+    this.contracts = contracts;
     this.callbacks = {
       onCapitalAllocated: null,
     };
   }
 
+  /**
+   * Swap the wallet and token contracts balances are read from
+   * @param {Object} overrides Replacement token contracts or wallet
+   */
+  useContracts(overrides) {
+    this.contracts = { ...this.contracts, ...overrides };
+  }
+
   /**
    * Initialize the capital allocator
    */
@@ -26,33 +36,18 @@ class CapitalAllocator {
   /**
    * Get the amount to allocate for a trade
    * @param {string} tradeType 'buy' or 'sell'
-   * @returns {BigNumber} Amount to trade (in token decimals)
+   * @param {Object} pair Resolved pair from PairRegistry
+   * @returns {bigint} Amount to trade (in token decimals)
    */
-  async getTradeAmount(tradeType) {
+  async getTradeAmount(tradeType, pair) {
     try {
-      let balance, decimals;
-
-      if (tradeType === "buy") {
-        // For buys, we spend BUSD
-        balance = await contracts.busdToken.balanceOf(contracts.wallet.address);
-        decimals = 18;
-      } else {
-        // For sells, we spend WBTC
-        balance = await contracts.wbtcToken.balanceOf(contracts.wallet.address);
-        decimals = 8;
-      }
-
-      // Calculate trade amount based on max capital per trade
-      const maxPercent = config.wallet.maxCapitalPerTrade * 100;
-      const tradeAmount = balance
-        .mul(ethers.BigNumber.from(maxPercent))
-        .div(100);
+      const token = tradeType === "buy" ? pair.quote : pair.base;
+      const tradeAmount = await this.getTradeSize(tradeType, pair);
 
       logger.debug(
-        `Allocating ${ethers.utils.formatUnits(
-          tradeAmount,
-          decimals
-        )} for ${tradeType} trade`
+        `Allocating ${ethers.formatUnits(tradeAmount, token.decimals)} ${
+          token.symbol
+        } for ${pair.id} ${tradeType} trade`
       );
 
       if (this.callbacks.onCapitalAllocated) {
@@ -66,6 +61,38 @@ class CapitalAllocator {
     }
   }
 
+  /**
+   * Size of the next trade, without allocating it
+   * @param {string} tradeType 'buy' or 'sell'
+   * @param {Object} pair Resolved pair from PairRegistry
+   * @returns {bigint} Amount to trade (in token decimals)
+   */
+  async getTradeSize(tradeType, pair) {
+    // Buys spend the quote token, sells spend the base token
+    const token = tradeType === "buy" ? pair.quote : pair.base;
+    const balance = await this.getBalance(token.address);
+
+    // Calculate trade amount based on max capital per trade
+    const maxPercent = BigInt(
+      Math.round(config.wallet.maxCapitalPerTrade * 100)
+    );
+    return (balance * maxPercent) / 100n;
+  }
+
+  /**
+   * Get the spendable balance of a token, virtual in paper mode
+   * @param {string} address Token address
+   * @returns {bigint} Balance in token decimals
+   */
+  async getBalance(address) {
+    if (config.trading.mode === "paper") {
+      return PaperLedger.getBalance(address);
+    }
+    return this.contracts
+      .getTokenContract(address)
+      .balanceOf(this.contracts.wallet.address);
+  }
+
   /**
    * Register a callback for capital allocation
    * @param {Function} callback Function to call when capital is allocated
@@ -1,19 +1,35 @@
 /**
  * NetworkMonitor Module
  * Monitors network conditions and gas prices
+ *
+ * Every poll samples the latest config.network.sampleBlocks blocks for their
+ * gas-used ratio, gas price percentiles and block time, plus the pending
+ * transaction count, and grades congestion as 'normal', 'elevated' or 'high'
+ * against config.network.thresholds. It also quotes BNB in
+ * config.network.bnbPriceToken, so gas costs can be valued in USD.
  */
 
 const { ethers } = require("ethers");
 const config = require("../../config");
 const logger = require("../../utils/logger");
+const contracts = require("../../utils/contract");
+const DexAggregator = require("../dex/DexAggregator");
+
+// Ordered from calm to congested
+const LEVELS = ["normal", "elevated", "high"];
 
 class NetworkMonitor {
   constructor() {
+    this.provider = contracts.provider;
     this.currentGasPrice = config.bsc.gasPrice;
+    this.congestion = { level: "normal", metrics: null, updatedAt: null };
+    this.bnbPrice = null;
+    this.bnbPriceDecimals = null;
     this.updateInterval = null;
     this.callbacks = {
       onGasPriceUpdate: null,
-      onNetworkCongestion: null,
+      // Several modules react to congestion, so this one is a list
+      onNetworkCongestion: [],
     };
   }
 
@@ -21,21 +37,22 @@ class NetworkMonitor {
    * Initialize the network monitor
    */
   async initialize() {
-    try {
-      logger.info("Initializing network monitor...");
+    logger.info("Initializing network monitor...");
 
-      // Get initial gas price
-      await this.updateGasPrice();
+    // Get initial gas price and congestion level
+    const updated = await this.update();
 
-      // Start polling for gas price updates
-      this.startMonitoring();
+    // Poll even if the first update failed, so the next one can recover
+    this.startMonitoring();
 
+    if (updated) {
       logger.info("Network monitor initialized successfully");
-      return true;
-    } catch (error) {
-      logger.error("Failed to initialize network monitor:", error.message);
-      return false;
+    } else {
+      logger.warn(
+        "Network monitor started without a full first reading, retrying on the next poll"
+      );
     }
+    return updated;
   }
 
   /**
@@ -49,29 +66,43 @@ class NetworkMonitor {
 
     // Set up a new interval
     this.updateInterval = setInterval(async () => {
-      await this.updateGasPrice();
-    }, 30000); // Check every 30 seconds
+      await this.update();
+    }, config.network.pollInterval);
 
     logger.info("Network monitoring started");
   }
 
+  /**
+   * Refresh the gas price, the congestion level and the BNB price. Each one
+   * keeps its last known value when its own refresh fails
+   * @returns {Boolean} True if every refresh succeeded
+   */
+  async update() {
+    const results = await Promise.allSettled([
+      this.updateGasPrice(),
+      this.updateCongestion(),
+      this.updateBnbPrice(),
+    ]);
+    return results.every((result) => result.status === "fulfilled");
+  }
+
   /**
    * Update current gas price
    */
   async updateGasPrice() {
     try {
-      const provider = new ethers.providers.JsonRpcProvider(config.bsc.rpcUrl);
-      const gasPrice = await provider.getGasPrice();
+      const { gasPrice } = await this.provider.getFeeData();
 
       // Add a small buffer to the gas price
-      const bufferedGasPrice = gasPrice.mul(110).div(100); // 10% buffer
+      const bufferedGasPrice = (gasPrice * 110n) / 100n; // 10% buffer
 
-      this.currentGasPrice = bufferedGasPrice.gt(config.bsc.gasPrice)
-        ? bufferedGasPrice
-        : config.bsc.gasPrice;
+      this.currentGasPrice =
+        bufferedGasPrice > config.bsc.gasPrice
+          ? bufferedGasPrice
+          : config.bsc.gasPrice;
 
       logger.debug(
-        `Updated gas price: ${ethers.utils.formatUnits(
+        `Updated gas price: ${ethers.formatUnits(
           this.currentGasPrice,
           "gwei"
         )} gwei`
@@ -88,14 +119,192 @@ class NetworkMonitor {
     }
   }
 
+  /**
+   * Sample recent blocks, grade congestion and notify on level changes
+   * @returns {Object} Congestion level and the metrics behind it
+   */
+  async updateCongestion() {
+    try {
+      const metrics = await this.sampleNetwork();
+      const level = this.classify(metrics);
+      const previous = this.congestion.level;
+
+      this.congestion = { level, metrics, updatedAt: new Date() };
+
+      if (level !== previous) {
+        logger[level === "normal" ? "info" : "warn"](
+          `Network congestion ${previous} -> ${level}: ${JSON.stringify(
+            metrics
+          )}`
+        );
+        this.callbacks.onNetworkCongestion.forEach((callback) =>
+          callback(level, metrics)
+        );
+      }
+
+      return this.congestion;
+    } catch (error) {
+      logger.error("Error updating network congestion:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Read congestion metrics from the latest blocks
+   * @returns {Object} Gas-used ratio, gas price percentiles in gwei, block time and pending count
+   */
+  async sampleNetwork() {
+    const { sampleBlocks } = config.network;
+
+    // Fee history gives the gas-used ratio and tip percentiles of every block
+    const history = await this.provider.send("eth_feeHistory", [
+      ethers.toQuantity(sampleBlocks),
+      "latest",
+      [50, 90],
+    ]);
+    const blocks = history.gasUsedRatio.length;
+    const gasPrices = history.reward.map((rewards, index) =>
+      rewards.map(
+        (reward) => BigInt(reward) + BigInt(history.baseFeePerGas[index])
+      )
+    );
+    const averageGwei = (column) =>
+      gasPrices.reduce(
+        (sum, prices) =>
+          sum + parseFloat(ethers.formatUnits(prices[column], "gwei")),
+        0
+      ) / blocks;
+
+    // Block time over the sampled range
+    const newest = Number(history.oldestBlock) + blocks - 1;
+    const [first, last] = await Promise.all([
+      this.provider.getBlock(Number(history.oldestBlock)),
+      this.provider.getBlock(newest),
+    ]);
+    const blockTime =
+      blocks > 1
+        ? ((last.timestamp - first.timestamp) * 1000) / (blocks - 1)
+        : config.network.blockTime;
+
+    return {
+      block: newest,
+      gasUsedRatio:
+        history.gasUsedRatio.reduce((sum, ratio) => sum + ratio, 0) / blocks,
+      gasPriceP50: averageGwei(0),
+      gasPriceP90: averageGwei(1),
+      blockTime,
+      blockTimeDrift:
+        (blockTime - config.network.blockTime) / config.network.blockTime,
+      pendingTransactions: await this.getPendingTransactionCount(),
+    };
+  }
+
+  /**
+   * Count transactions in the pending block
+   * @returns {number|null} Pending transactions, null if the node does not expose them
+   */
+  async getPendingTransactionCount() {
+    try {
+      const count = await this.provider.send(
+        "eth_getBlockTransactionCountByNumber",
+        ["pending"]
+      );
+      return count === null ? null : Number(count);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Highest level whose thresholds any metric reaches
+   * @param {Object} metrics Metrics from sampleNetwork
+   * @returns {string} 'normal', 'elevated' or 'high'
+   */
+  classify(metrics) {
+    const basePriceGwei = parseFloat(
+      ethers.formatUnits(config.bsc.gasPrice, "gwei")
+    );
+    const reached = (thresholds) =>
+      metrics.gasUsedRatio >= thresholds.gasUsedRatio ||
+      (metrics.pendingTransactions !== null &&
+        metrics.pendingTransactions >= thresholds.pendingTransactions) ||
+      metrics.gasPriceP90 / basePriceGwei >= thresholds.gasPriceMultiple ||
+      metrics.blockTimeDrift >= thresholds.blockTimeDrift;
+
+    for (const level of [...LEVELS].reverse()) {
+      const thresholds = config.network.thresholds[level];
+      if (thresholds && reached(thresholds)) {
+        return level;
+      }
+    }
+    return "normal";
+  }
+
+  /**
+   * Quote 1 BNB on the DEX venues. Failures keep the last known price
+   * @returns {number|null} BNB price in config.network.bnbPriceToken
+   */
+  async updateBnbPrice() {
+    try {
+      const priceToken = config.tokens[config.network.bnbPriceToken];
+      if (this.bnbPriceDecimals === null) {
+        this.bnbPriceDecimals = Number(
+          await contracts.getTokenContract(priceToken).decimals()
+        );
+      }
+
+      const route = await DexAggregator.getBestQuote(
+        config.tokens.WBNB,
+        priceToken,
+        ethers.parseEther("1")
+      );
+      this.bnbPrice = parseFloat(
+        ethers.formatUnits(route.amountOut, this.bnbPriceDecimals)
+      );
+      logger.debug(`Updated BNB price: $${this.bnbPrice.toFixed(2)}`);
+    } catch (error) {
+      logger.warn("Error updating BNB price:", error.message);
+    }
+    return this.bnbPrice;
+  }
+
   /**
    * Get current recommended gas price
-   * @returns {BigNumber} Recommended gas price
+   * @returns {bigint} Recommended gas price in wei
    */
   getGasPrice() {
     return this.currentGasPrice;
   }
 
+  /**
+   * Get the last BNB price
+   * @returns {number|null} BNB price in USD, null until one was quoted
+   */
+  getBnbPrice() {
+    return this.bnbPrice;
+  }
+
+  /**
+   * Get the latest congestion reading
+   * @returns {Object} Level, metrics and when they were sampled
+   */
+  getCongestion() {
+    return this.congestion;
+  }
+
+  /**
+   * Trading policy for the current congestion level
+   * @returns {Object} { entries: 'allow' | 'postpone', exitGasMultiplier }
+   */
+  getPolicy() {
+    return (
+      config.network.policy[this.congestion.level] || {
+        entries: "allow",
+        exitGasMultiplier: 1,
+      }
+    );
+  }
+
   /**
    * Register a callback for gas price updates
    * @param {Function} callback Function to call when gas price updates
@@ -105,11 +314,11 @@ class NetworkMonitor {
   }
 
   /**
-   * Register a callback for network congestion
-   * @param {Function} callback Function to call when network is congested
+   * Register a callback for congestion level changes
+   * @param {Function} callback Function called with (level, metrics)
    */
   onNetworkCongestion(callback) {
-    this.callbacks.onNetworkCongestion = callback;
+    this.callbacks.onNetworkCongestion.push(callback);
   }
 
   /**
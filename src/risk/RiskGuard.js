@@ -0,0 +1,421 @@
+/**
+ * RiskGuard Module
+ * Account-level limits across all pairs: daily realized loss, equity drawdown
+ * from its peak and consecutive losing trades, plus a manual kill switch
+ *
+ * A breached limit halts new entries; exits keep working so open positions
+ * can still be closed. The halt survives restarts and only lifts when an
+ * operator calls reset().
+ */
+
+const { ethers } = require("ethers");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { readStateFile, writeStateFile } = require("../../utils/stateFile");
+const CapitalAllocator = require("./CapitalAllocator");
+const PairRegistry = require("../trading/PairRegistry");
+const TraderRegistry = require("../trading/TraderRegistry");
+
+/**
+ * UTC calendar day of a date
+ * @param {Date} date Date
+ * @returns {string} Day as YYYY-MM-DD
+ */
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+class RiskGuard {
+  constructor() {
+    this.state = this.createState();
+    this.restored = false;
+    this.equity = null;
+    this.checkInterval = null;
+    // Read by the bot and the API server, so callbacks are a list
+    this.callbacks = {
+      onRiskEvent: [],
+    };
+  }
+
+  /**
+   * Fresh state with no losses counted
+   * @returns {Object} Risk state
+   */
+  createState() {
+    return {
+      halt: null, // { limit, reason, timestamp } while halted
+      day: utcDay(),
+      dailyRealizedPnl: 0,
+      dayStartEquity: null,
+      peakEquity: null,
+      consecutiveLosses: 0,
+    };
+  }
+
+  /**
+   * Load the saved state, once. Everything that changes the state calls
+   * this first, so nothing saved before initialize() can overwrite a halt
+   */
+  restore() {
+    if (this.restored) {
+      return;
+    }
+
+    // A corrupt file throws and stays unrestored, rather than a reset
+    // state lifting a halt the next time it is saved
+    const stateFile = config.risk.stateFile;
+    const saved = readStateFile(stateFile);
+    if (saved) {
+      this.state = { ...this.createState(), ...saved };
+      logger.info(`Risk state restored from ${stateFile}`);
+    }
+    this.restored = true;
+  }
+
+  /**
+   * Restore the saved state and start the periodic equity check.
+   * Needs PairRegistry to be initialized
+   */
+  async initialize() {
+    logger.info("Initializing risk guard...");
+
+    this.restore();
+    if (this.state.halt) {
+      logger.warn(
+        `Trading halted by ${this.state.halt.limit}: ${this.state.halt.reason}. Reset required to resume`
+      );
+    }
+
+    await this.check();
+
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+    }
+    this.checkInterval = setInterval(async () => {
+      await this.check();
+    }, config.risk.checkInterval);
+
+    return true;
+  }
+
+  /**
+   * Count a fill's realized PnL towards the loss limits
+   * @param {Object} fill Fill from PnlLedger.recordFill()
+   */
+  async recordFill(fill) {
+    // Buys realize nothing; sells without a matched lot have no known cost
+    if (fill.side !== "sell" || fill.realized === null) {
+      return;
+    }
+
+    this.restore();
+    const { realized } = fill;
+    this.rollDay();
+    this.state.dailyRealizedPnl += realized;
+    this.state.consecutiveLosses =
+      realized < 0 ? this.state.consecutiveLosses + 1 : 0;
+    logger.info(
+      `${fill.pair} realized ${realized.toFixed(
+        4
+      )}, ${this.state.dailyRealizedPnl.toFixed(4)} today, ${
+        this.state.consecutiveLosses
+      } loss(es) in a row`
+    );
+
+    this.save();
+    await this.check();
+  }
+
+  /**
+   * Refresh equity and halt if any limit is breached
+   */
+  async check() {
+    try {
+      const equity = await this.getEquity();
+      this.rollDay(equity);
+
+      if (equity !== null) {
+        this.equity = equity;
+        if (this.state.dayStartEquity === null) {
+          this.state.dayStartEquity = equity;
+        }
+        if (this.state.peakEquity === null || equity > this.state.peakEquity) {
+          this.state.peakEquity = equity;
+        }
+      }
+      this.save();
+
+      const breach = this.findBreach();
+      if (breach) {
+        this.halt(breach.limit, breach.reason);
+      }
+    } catch (error) {
+      logger.error("Error checking risk limits:", error.message);
+    }
+  }
+
+  /**
+   * First limit the current state breaches
+   * @returns {Object|null} { limit, reason } or null if within all limits
+   */
+  findBreach() {
+    const { risk } = config;
+    const loss = -this.state.dailyRealizedPnl;
+
+    if (risk.dailyLossLimit !== null && loss >= risk.dailyLossLimit) {
+      return {
+        limit: "daily-loss",
+        reason: `Realized loss of ${loss.toFixed(
+          2
+        )} today reached the limit of ${risk.dailyLossLimit}`,
+      };
+    }
+
+    if (
+      risk.dailyLossLimitPercent !== null &&
+      this.state.dayStartEquity > 0 &&
+      loss >= this.state.dayStartEquity * risk.dailyLossLimitPercent
+    ) {
+      return {
+        limit: "daily-loss",
+        reason: `Realized loss of ${loss.toFixed(2)} today reached ${
+          risk.dailyLossLimitPercent * 100
+        }% of the day's starting equity`,
+      };
+    }
+
+    const drawdown = this.getDrawdown();
+    if (
+      risk.maxDrawdown !== null &&
+      drawdown !== null &&
+      drawdown >= risk.maxDrawdown
+    ) {
+      return {
+        limit: "drawdown",
+        reason: `Equity is ${(drawdown * 100).toFixed(
+          2
+        )}% below its peak of ${this.state.peakEquity.toFixed(2)}`,
+      };
+    }
+
+    if (
+      risk.maxConsecutiveLosses !== null &&
+      this.state.consecutiveLosses >= risk.maxConsecutiveLosses
+    ) {
+      return {
+        limit: "consecutive-losses",
+        reason: `${this.state.consecutiveLosses} losing trades in a row`,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Start a new daily loss count when the UTC day changes
+   * @param {number|null} equity Current equity, becomes the day's starting equity
+   */
+  rollDay(equity = this.equity) {
+    const today = utcDay();
+    if (this.state.day !== today) {
+      this.state.day = today;
+      this.state.dailyRealizedPnl = 0;
+      this.state.dayStartEquity = equity;
+    }
+  }
+
+  /**
+   * Value of the wallet's pair tokens in USD. Quote tokens are USD
+   * stablecoins; base tokens are marked at their pair's DEX price
+   * @returns {number|null} Equity, null while a held token has no price
+   */
+  async getEquity() {
+    const quotes = new Set(
+      PairRegistry.getPairs().map((pair) => pair.quote.address)
+    );
+    let equity = 0;
+
+    for (const token of PairRegistry.getTokens()) {
+      const balance = parseFloat(
+        ethers.formatUnits(
+          await CapitalAllocator.getBalance(token.address),
+          token.decimals
+        )
+      );
+      if (balance === 0) continue;
+
+      let price = quotes.has(token.address) ? 1 : null;
+      if (price === null) {
+        const trader = TraderRegistry.getTraders().find(
+          (candidate) => candidate.pair.base.address === token.address
+        );
+        price = trader
+          ? trader.dexPriceMonitor.getCurrentPrice() || null
+          : null;
+      }
+
+      // An unpriced balance would read as a drawdown, so skip the update
+      if (price === null) {
+        return null;
+      }
+      equity += balance * price;
+    }
+
+    return equity;
+  }
+
+  /**
+   * Current drawdown from the equity peak
+   * @returns {number|null} Fraction below the peak, null before equity is known
+   */
+  getDrawdown() {
+    if (this.equity === null || !this.state.peakEquity) {
+      return null;
+    }
+    return Math.max(0, 1 - this.equity / this.state.peakEquity);
+  }
+
+  /**
+   * Halt new entries. Keeps the first reason if already halted
+   * @param {string} limit Limit that tripped: 'daily-loss', 'drawdown', 'consecutive-losses' or 'kill-switch'
+   * @param {string} reason Description for logs and the API
+   */
+  halt(limit, reason) {
+    this.restore();
+    if (this.state.halt) {
+      return;
+    }
+
+    this.state.halt = { limit, reason, timestamp: new Date() };
+    this.save();
+    logger.error(`Trading halted by ${limit}: ${reason}`);
+    this.emitEvent("halted");
+  }
+
+  /**
+   * Halt new entries and close every open position at market
+   * @param {string} reason Why the switch was pulled
+   * @returns {Array} Per pair { pair, trade } or { pair, error }
+   */
+  async activateKillSwitch(reason = "Manual kill switch") {
+    this.restore();
+    // Halt first so no new entry races the exits; the switch takes over any
+    // automatic halt so the API shows it was pulled
+    this.state.halt = null;
+    this.halt("kill-switch", reason);
+
+    const results = [];
+    for (const trader of TraderRegistry.getTraders()) {
+      try {
+        results.push({ pair: trader.pair.id, trade: await trader.flatten() });
+      } catch (error) {
+        logger.error(`Failed to flatten ${trader.pair.id}:`, error.message);
+        results.push({ pair: trader.pair.id, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Lift a halt. Limits count again from here: the loss streak and today's
+   * realized PnL start at zero and the equity peak moves to current equity
+   * @param {string} operator Who reset it, for the log and the event
+   * @returns {Boolean} False if trading was not halted
+   */
+  async reset(operator) {
+    if (!this.state.halt) {
+      return false;
+    }
+
+    const equity = await this.getEquity();
+    if (equity !== null) {
+      this.equity = equity;
+    }
+
+    const previous = this.state.halt;
+    this.state.halt = null;
+    this.state.consecutiveLosses = 0;
+    this.state.dailyRealizedPnl = 0;
+    this.state.dayStartEquity = this.equity;
+    this.state.peakEquity = this.equity;
+    this.save();
+
+    logger.warn(`Risk halt (${previous.limit}) reset by ${operator}`);
+    this.emitEvent("reset", { previous, operator });
+    return true;
+  }
+
+  /**
+   * Whether new entries are blocked
+   * @returns {Boolean} True while halted
+   */
+  isHalted() {
+    return this.state.halt !== null;
+  }
+
+  /**
+   * Current limits, counters and halt
+   * @returns {Object} Risk status
+   */
+  getStatus() {
+    const { risk } = config;
+    return {
+      halted: this.isHalted(),
+      halt: this.state.halt,
+      day: this.state.day,
+      dailyRealizedPnl: this.state.dailyRealizedPnl,
+      dayStartEquity: this.state.dayStartEquity,
+      equity: this.equity,
+      peakEquity: this.state.peakEquity,
+      drawdown: this.getDrawdown(),
+      consecutiveLosses: this.state.consecutiveLosses,
+      limits: {
+        dailyLossLimit: risk.dailyLossLimit,
+        dailyLossLimitPercent: risk.dailyLossLimitPercent,
+        maxDrawdown: risk.maxDrawdown,
+        maxConsecutiveLosses: risk.maxConsecutiveLosses,
+      },
+    };
+  }
+
+  /**
+   * Pass a risk event with the current status to every callback
+   * @param {string} event 'halted' or 'reset'
+   * @param {Object} details Extra fields for the event
+   */
+  emitEvent(event, details = {}) {
+    const data = { event, ...details, ...this.getStatus() };
+    this.callbacks.onRiskEvent.forEach((callback) => callback(data));
+  }
+
+  /**
+   * Register a callback for halts and resets
+   * @param {Function} callback Function called with the event and status
+   */
+  onRiskEvent(callback) {
+    this.callbacks.onRiskEvent.push(callback);
+  }
+
+  /**
+   * Write the state to disk so a halt survives restarts
+   */
+  save() {
+    try {
+      writeStateFile(config.risk.stateFile, this.state);
+    } catch (error) {
+      logger.error(`Failed to save risk state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop the periodic equity check
+   */
+  shutdown() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+}
+
+module.exports = new RiskGuard();
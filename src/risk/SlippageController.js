@@ -3,7 +3,6 @@
  * Manages and applies slippage tolerance to trades
  */
 
-const { ethers } = require("ethers");
 const config = require("../../config");
 const logger = require("../../utils/logger");
 
@@ -24,15 +23,14 @@ class SlippageController {
 
   /**
    * Apply slippage tolerance to an amount
-   * @param {BigNumber} amount Original amount
+   * @param {bigint} amount Original amount
    * @param {string} tradeType 'buy' or 'sell'
-   * @returns {BigNumber} Amount with slippage applied
+   * @returns {bigint} Amount with slippage applied
    */
   applySlippage(amount, tradeType) {
     const slippageTolerance = 1 - config.trading.maxSlippage;
-    const adjustedAmount = amount
-      .mul(ethers.BigNumber.from(Math.floor(slippageTolerance * 10000)))
-      .div(10000);
+    const adjustedAmount =
+      (amount * BigInt(Math.floor(slippageTolerance * 10000))) / 10000n;
 
     logger.debug(
       `Applied ${(config.trading.maxSlippage * 100).toFixed(
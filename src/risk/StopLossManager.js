@@ -5,13 +5,21 @@
 
 const config = require("../../config");
 const logger = require("../../utils/logger");
-const PositionManager = require("../trading/PositionManager");
-const DexPriceMonitor = require("../monitoring/DexPriceMonitor");
 const TradeExecutor = require("../trading/TradeExecutor");
 
 class StopLossManager {
-  constructor() {
+  /**
+   * @param {Object} deps Per-pair dependencies
+   * @param {Object} deps.pair Resolved pair, passed to the executor on exits
+   * @param {PositionManager} deps.positionManager Position of the pair
+   * @param {DexPriceMonitor} deps.dexPriceMonitor Live DEX prices, optional when prices are passed in
+   */
+  constructor({ pair, positionManager, dexPriceMonitor }) {
+    this.pair = pair;
+    this.positionManager = positionManager;
+    this.dexPriceMonitor = dexPriceMonitor;
     this.monitoringInterval = null;
+    this.executor = TradeExecutor;
     this.callbacks = {
       onStopLossTriggered: null,
     };
@@ -21,10 +29,18 @@ class StopLossManager {
    * Initialize the stop-loss manager
    */
   initialize() {
-    logger.info("Initializing stop-loss manager...");
+    logger.info(`Initializing stop-loss manager for ${this.pair.id}...`);
     return true;
   }
 
+  /**
+   * Replace the executor used for stop-loss exits (e.g. a simulated one)
+   * @param {Object} executor Object exposing executeSell(pair)
+   */
+  setExecutor(executor) {
+    this.executor = executor;
+  }
+
   /**
    * Start monitoring for stop-loss triggers
    */
@@ -34,9 +50,14 @@ class StopLossManager {
       clearInterval(this.monitoringInterval);
     }
 
-    // Set up a new interval
+    // Set up a new interval. Nothing awaits the timer, so a failed exit is
+    // logged here and retried on the next check
     this.monitoringInterval = setInterval(async () => {
-      await this.checkStopLoss();
+      try {
+        await this.checkStopLoss();
+      } catch (error) {
+        logger.error(`${this.pair.id} stop-loss exit failed: ${error.message}`);
+      }
     }, 15000); // Check every 15 seconds
 
     logger.info("Stop-loss monitoring started");
@@ -44,30 +65,34 @@ class StopLossManager {
 
   /**
    * Check if stop-loss should trigger
+   * @param {number} currentPrice Price to check against, defaults to the live DEX price
    */
-  async checkStopLoss() {
+  async checkStopLoss(currentPrice = this.dexPriceMonitor.getCurrentPrice()) {
     try {
-      const currentPosition = PositionManager.getCurrentPosition();
+      const currentPosition = this.positionManager.getCurrentPosition();
 
       if (!currentPosition.type) {
         return; // No active position
       }
 
       // Update highest price in position manager
-      const currentPrice = DexPriceMonitor.getCurrentPrice();
-      PositionManager.updateHighestPrice(currentPrice);
+      this.positionManager.updateHighestPrice(currentPrice);
 
       // Check if stop-loss should trigger
-      if (PositionManager.shouldTriggerStopLoss(currentPrice)) {
-        logger.warn("Stop-loss condition met! Executing sell...");
+      if (this.positionManager.shouldTriggerStopLoss(currentPrice)) {
+        logger.warn(
+          `${this.pair.id} stop-loss condition met! Executing sell...`
+        );
 
         // Execute sell
-        const result = await TradeExecutor.executeSell();
+        const result = await this.executor.executeSell(this.pair);
 
         if (this.callbacks.onStopLossTriggered) {
           this.callbacks.onStopLossTriggered({
+            pair: this.pair.id,
             price: currentPrice,
             highestPrice: currentPosition.highestPrice,
+            result,
             timestamp: new Date(),
           });
         }
@@ -99,4 +124,4 @@ class StopLossManager {
   }
 }
 
-module.exports = new StopLossManager();
+module.exports = StopLossManager;
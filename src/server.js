@@ -2,18 +2,46 @@ const express = require("express");
 const cors = require("cors");
 const routes = require("./routes");
 const MonitoringService = require("./services/MonitoringService");
+const HistoryStore = require("./services/HistoryStore");
+const StreamServer = require("./services/StreamServer");
+const TradeExecutor = require("./trading/TradeExecutor");
+const TraderRegistry = require("./trading/TraderRegistry");
+const RiskGuard = require("./risk/RiskGuard");
+const BalanceReconciler = require("./risk/BalanceReconciler");
+const {
+  validateApiKeys,
+  authenticate,
+  authorizeByMethod,
+} = require("./middleware/auth");
+const bot = require("./index");
 const logger = require("../utils/logger");
+const config = require("../config");
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.api.port;
 
 // Middleware
-app.use(cors());
+app.use(cors({ origin: config.api.corsOrigins }));
 
 app.use(express.json());
 
-// Routes
-app.use("/api", routes);
+// Label every response with the trading mode so paper data is never mistaken for live
+app.use((req, res, next) => {
+  const mode = config.trading.mode;
+  const json = res.json.bind(res);
+
+  res.set("X-Trading-Mode", mode);
+  res.json = (body) =>
+    json(
+      body && typeof body === "object" && !Array.isArray(body)
+        ? { mode, ...body }
+        : body
+    );
+  next();
+});
+
+// Routes: every /api call needs a key, viewer to read and operator to act
+app.use("/api", authenticate, authorizeByMethod, routes);
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -23,11 +51,36 @@ app.get("/health", (req, res) => {
 // Initialize and start server
 async function startServer() {
   try {
+    validateApiKeys();
+    await HistoryStore.initialize();
+    MonitoringService.onDataUpdate((data) => HistoryStore.record(data));
+
+    // Push market data and bot events to stream subscribers
+    MonitoringService.onDataUpdate((data) =>
+      StreamServer.broadcast("market", data)
+    );
+    TradeExecutor.onTradeExecuted((trade) =>
+      StreamServer.broadcast("trades", trade)
+    );
+    TraderRegistry.onEvent((topic, data) =>
+      StreamServer.broadcast(topic, data)
+    );
+    RiskGuard.onRiskEvent((event) => StreamServer.broadcast("risk", event));
+    BalanceReconciler.onMismatch((result) =>
+      StreamServer.broadcast("positions", { event: "mismatch", ...result })
+    );
+
     await MonitoringService.initialize();
 
-    app.listen(PORT, () => {
+    // Trade, position and PnL endpoints read the bot's state from this process
+    if (config.api.runBot) {
+      await bot.initialize();
+    }
+
+    const server = app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
     });
+    StreamServer.initialize(server);
   } catch (error) {
     logger.error("Failed to start server:", error);
     process.exit(1);
@@ -41,11 +94,16 @@ startServer();
 process.on("SIGINT", () => {
   logger.info("Shutting down server...");
   MonitoringService.shutdown();
+  HistoryStore.shutdown();
+  bot.shutdown();
+  StreamServer.shutdown();
   process.exit();
 });
 
 process.on("uncaughtException", (error) => {
   logger.error("Uncaught exception:", error);
   MonitoringService.shutdown();
+  HistoryStore.shutdown();
+  bot.shutdown();
   process.exit(1);
 });
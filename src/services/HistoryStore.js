@@ -0,0 +1,277 @@
+/**
+ * HistoryStore Module
+ * Persists price and indicator snapshots to a local JSON Lines file
+ *
+ * The latest config.history.maxRecords snapshots are kept in memory in a
+ * ring buffer and answer queries. New snapshots are appended to the file in
+ * batches every config.history.flushInterval; once the file holds twice the
+ * in-memory window it is rewritten to that window, so it stays bounded too.
+ * Each snapshot is tagged with the pair it was taken for.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+
+// Multiple of maxRecords the file may grow to before it is pruned
+const COMPACT_FACTOR = 2;
+
+class HistoryStore {
+  constructor() {
+    this.filePath = config.history.filePath;
+    this.capacity = config.history.maxRecords;
+    this.records = []; // ring buffer, the oldest record is at this.start
+    this.start = 0;
+    this.fileRecords = 0; // lines in the file, counting the pending ones
+    this.pending = []; // serialized records waiting for the next flush
+    this.flushTimeout = null;
+    this.writes = Promise.resolve(); // file writes run one at a time
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize the store and load existing records from disk
+   * @param {Object} options Options
+   * @param {boolean} options.readOnly Only load the records, leaving the file
+   *   untouched, e.g. for a backtest while the server writes to it
+   */
+  async initialize({ readOnly = false } = {}) {
+    try {
+      logger.info("Initializing history store...");
+
+      if (!readOnly) {
+        await fs.promises.mkdir(path.dirname(this.filePath), {
+          recursive: true,
+        });
+      }
+      await this.loadRecords();
+
+      // Files written before pruning existed can be far larger than the window
+      if (!readOnly && this.fileRecords > this.capacity) {
+        await this.rewrite(this.getRecords());
+        logger.info(
+          `History file pruned from ${this.fileRecords} to ${this.records.length} records`
+        );
+        this.fileRecords = this.records.length;
+      }
+      // Records are only appended to the file once it is open for writing
+      this.isInitialized = !readOnly;
+
+      logger.info(
+        `History store loaded ${this.records.length} records from ${this.filePath}`
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Failed to initialize history store: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the history file line by line into memory
+   */
+  async loadRecords() {
+    this.records = [];
+    this.start = 0;
+    this.fileRecords = 0;
+
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath),
+      crlfDelay: Infinity,
+    });
+
+    let skipped = 0;
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      this.fileRecords++;
+
+      try {
+        this.push(JSON.parse(line));
+      } catch (error) {
+        skipped++;
+      }
+    }
+
+    if (skipped > 0) {
+      logger.warn(`Skipped ${skipped} malformed history records`);
+    }
+  }
+
+  /**
+   * Add a record to the ring buffer, overwriting the oldest once it is full
+   * @param {Object} entry History record
+   */
+  push(entry) {
+    if (this.records.length < this.capacity) {
+      this.records.push(entry);
+    } else {
+      this.records[this.start] = entry;
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Record at a position of the ring buffer
+   * @param {number} index Position, 0 is the oldest record
+   * @returns {Object} History record
+   */
+  at(index) {
+    return this.records[(this.start + index) % this.records.length];
+  }
+
+  /**
+   * Records in memory, oldest first
+   * @returns {Array} History records
+   */
+  getRecords() {
+    return this.records
+      .slice(this.start)
+      .concat(this.records.slice(0, this.start));
+  }
+
+  /**
+   * Record a market data snapshot
+   * @param {Object} marketData Snapshot from MonitoringService
+   */
+  record(marketData) {
+    const centralizedPrice = marketData.centralized.price || null;
+    const dexPrice = marketData.dex.price || null;
+
+    const entry = {
+      pair: marketData.pair,
+      timestamp: (marketData.timestamp || new Date()).getTime(),
+      centralizedPrice,
+      dexPrice,
+      rsi: marketData.centralized.indicators.rsi,
+      ema: marketData.centralized.indicators.ema,
+      priceDifference:
+        centralizedPrice && dexPrice ? marketData.priceDifference : null,
+    };
+
+    this.push(entry);
+
+    if (this.isInitialized) {
+      this.pending.push(`${JSON.stringify(entry)}\n`);
+      this.fileRecords++;
+      if (!this.flushTimeout) {
+        this.flushTimeout = setTimeout(
+          () => this.flush(),
+          config.history.flushInterval
+        );
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Append the pending records, or prune the file to the in-memory window
+   * once it has grown to COMPACT_FACTOR times its size
+   * @returns {Promise} Resolves when the write is done
+   */
+  flush() {
+    clearTimeout(this.flushTimeout);
+    this.flushTimeout = null;
+
+    const lines = this.pending.join("");
+    this.pending = [];
+
+    // The window already holds every pending record, so it replaces them
+    let snapshot = null;
+    if (this.fileRecords >= this.capacity * COMPACT_FACTOR) {
+      snapshot = this.getRecords();
+      this.fileRecords = snapshot.length;
+    }
+
+    this.writes = this.writes
+      .then(async () => {
+        if (snapshot) {
+          await this.rewrite(snapshot);
+          logger.debug(`History file pruned to ${snapshot.length} records`);
+        } else if (lines) {
+          await fs.promises.appendFile(this.filePath, lines);
+        }
+      })
+      .catch((error) => {
+        logger.error(`Failed to persist history records: ${error.message}`);
+      });
+    return this.writes;
+  }
+
+  /**
+   * Replace the file with a set of records
+   * @param {Array} records History records, oldest first
+   */
+  async rewrite(records) {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(
+      tempPath,
+      records.map((record) => `${JSON.stringify(record)}\n`).join("")
+    );
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Query recorded snapshots
+   * @param {Object} options Query options
+   * @param {string} options.pair Pair id, every pair when unset
+   * @param {number} options.from Start timestamp in ms (inclusive)
+   * @param {number} options.to End timestamp in ms (inclusive)
+   * @param {number} options.limit Maximum number of records (most recent are kept)
+   * @returns {Array} Matching records in ascending time order
+   */
+  query({
+    pair = null,
+    from = null,
+    to = null,
+    limit = config.history.defaultLimit,
+  } = {}) {
+    const matches = [];
+
+    // Records are in time order, so the walk back stops at the first one before from
+    for (
+      let index = this.records.length - 1;
+      index >= 0 && matches.length < limit;
+      index--
+    ) {
+      const record = this.at(index);
+      if (from !== null && record.timestamp < from) break;
+      // Records from before pairs were tagged all came from the first pair
+      if (pair !== null && (record.pair || config.pairs[0].id) !== pair) {
+        continue;
+      }
+      if (to === null || record.timestamp <= to) {
+        matches.push(record);
+      }
+    }
+
+    return matches.reverse();
+  }
+
+  /**
+   * Write the pending records before the process exits
+   */
+  shutdown() {
+    clearTimeout(this.flushTimeout);
+    this.flushTimeout = null;
+    if (this.pending.length === 0) {
+      return;
+    }
+
+    try {
+      // Synchronous so nothing is lost to the exit that follows
+      fs.appendFileSync(this.filePath, this.pending.join(""));
+      this.pending = [];
+    } catch (error) {
+      logger.error(`Failed to persist history records: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new HistoryStore();
@@ -1,11 +1,15 @@
 const TaapiService = require("../bot-service/monitoring/TaapiService");
 const DexPriceMonitor = require("../bot-service/monitoring/DexPriceMonitor");
 const logger = require("../../utils/logger");
+const config = require("../../config");
+const { loadStrategy, evaluateStrategy } = require("../strategies");
 
 class MonitoringService {
   constructor() {
     this.isRunning = false;
     this.marketData = {
+      // The TAAPI and DEX feeds watch the first configured pair
+      pair: config.pairs[0].id,
       centralized: {
         price: 0,
         indicators: {
@@ -20,6 +24,7 @@ class MonitoringService {
       timestamp: null,
     };
     this.dataUpdateCallbacks = [];
+    this.strategy = loadStrategy();
   }
 
   async initialize() {
@@ -80,20 +85,30 @@ class MonitoringService {
     return { ...this.marketData };
   }
 
-  isPotentialBuyOpportunity() {
+  // The server holds no position, so each side is evaluated as if it could be taken
+  evaluateSide(positionType) {
     const data = this.marketData;
-    const priceDiffCheck = data.priceDifference > 0.006; // 0.6% threshold
-    const rsiCheck = TaapiService.isRsiOversold();
-    const emaCheck = TaapiService.isPriceBelowEma();
-    return priceDiffCheck && (rsiCheck || emaCheck);
+    const snapshot = {
+      pair: data.pair,
+      binancePrice: data.centralized.price,
+      dexPrice: data.dex.price,
+      indicators: data.centralized.indicators,
+      timeframes: {}, // TAAPI only provides the base interval
+      timestamp: data.timestamp,
+    };
+    return evaluateStrategy(this.strategy, snapshot, {
+      type: positionType,
+      entryPrice: null,
+      highestPrice: null,
+    });
+  }
+
+  isPotentialBuyOpportunity() {
+    return this.evaluateSide(null).action === "buy";
   }
 
   isPotentialSellOpportunity() {
-    const data = this.marketData;
-    const priceDiffCheck = data.priceDifference < -0.006; // -0.6% threshold
-    const rsiCheck = TaapiService.isRsiOverbought();
-    const emaCheck = TaapiService.isPriceAboveEma();
-    return priceDiffCheck && (rsiCheck || emaCheck);
+    return this.evaluateSide("long").action === "sell";
   }
 
   onDataUpdate(callback) {
@@ -0,0 +1,170 @@
+/**
+ * StreamServer Module
+ * Pushes market data and bot events to WebSocket clients by topic
+ *
+ * Clients connect to config.api.stream.path with a viewer API key (X-API-Key
+ * header or ?apiKey=), optionally with ?topics=market,trades,
+ * and change subscriptions with
+ *   { "action": "subscribe" | "unsubscribe", "topics": ["signals"] }
+ * Every push is { "topic": "...", "data": {...}, "timestamp": "..." }
+ */
+
+const WebSocket = require("ws");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { authenticateRequest } = require("../middleware/auth");
+
+const TOPICS = ["market", "signals", "trades", "positions", "risk"];
+
+class StreamServer {
+  constructor() {
+    this.wss = null;
+    this.heartbeatInterval = null;
+    this.subscriptions = new Map(); // client -> Set of topics
+  }
+
+  /**
+   * Start accepting WebSocket connections on the HTTP server
+   * @param {http.Server} server Server returned by app.listen
+   */
+  initialize(server) {
+    this.wss = new WebSocket.Server({
+      server,
+      path: config.api.stream.path,
+      // Any valid key may read the stream; the upgrade is refused with 401 otherwise
+      verifyClient: ({ req }) => Boolean(authenticateRequest(req)),
+    });
+
+    this.wss.on("connection", (client, req) =>
+      this.handleConnection(client, req)
+    );
+
+    // Drop clients that stopped answering pings
+    this.heartbeatInterval = setInterval(() => {
+      this.wss.clients.forEach((client) => {
+        if (!client.isAlive) {
+          client.terminate();
+          return;
+        }
+        client.isAlive = false;
+        client.ping();
+      });
+    }, config.api.stream.heartbeatInterval);
+
+    logger.info(`Stream server listening on ${config.api.stream.path}`);
+  }
+
+  /**
+   * Set up a new client with the topics from its connection URL
+   * @param {WebSocket} client Connected client
+   * @param {http.IncomingMessage} req Upgrade request
+   */
+  handleConnection(client, req) {
+    const url = new URL(req.url, "http://localhost");
+    const requested = url.searchParams.get("topics");
+
+    client.isAlive = true;
+    client.on("pong", () => {
+      client.isAlive = true;
+    });
+
+    this.subscriptions.set(client, new Set());
+    client.on("message", (raw) => this.handleMessage(client, raw));
+    client.on("close", () => this.subscriptions.delete(client));
+    client.on("error", (error) => {
+      logger.warn("Stream client error:", error.message);
+    });
+
+    this.send(client, "welcome", { topics: TOPICS });
+    if (requested) {
+      this.updateSubscriptions(client, "subscribe", requested.split(","));
+    }
+  }
+
+  /**
+   * Handle a subscribe or unsubscribe request from a client
+   * @param {WebSocket} client Client that sent the message
+   * @param {Buffer} raw Raw message
+   */
+  handleMessage(client, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return this.send(client, "error", { message: "Invalid JSON" });
+    }
+
+    if (
+      !["subscribe", "unsubscribe"].includes(message.action) ||
+      !Array.isArray(message.topics)
+    ) {
+      return this.send(client, "error", {
+        message:
+          'Expected { "action": "subscribe" | "unsubscribe", "topics": [...] }',
+      });
+    }
+
+    this.updateSubscriptions(client, message.action, message.topics);
+  }
+
+  /**
+   * Add or remove topics for a client and confirm the result
+   * @param {WebSocket} client Client to update
+   * @param {string} action 'subscribe' or 'unsubscribe'
+   * @param {Array} topics Topic names
+   */
+  updateSubscriptions(client, action, topics) {
+    const unknown = topics.filter((topic) => !TOPICS.includes(topic));
+    if (unknown.length > 0) {
+      return this.send(client, "error", {
+        message: `Unknown topics: ${unknown.join(", ")}`,
+      });
+    }
+
+    const subscribed = this.subscriptions.get(client);
+    topics.forEach((topic) =>
+      action === "subscribe" ? subscribed.add(topic) : subscribed.delete(topic)
+    );
+
+    this.send(client, "subscriptions", { subscribed: Array.from(subscribed) });
+  }
+
+  /**
+   * Push data to every client subscribed to a topic
+   * @param {string} topic One of TOPICS
+   * @param {Object} data Payload
+   */
+  broadcast(topic, data) {
+    for (const [client, topics] of this.subscriptions) {
+      if (topics.has(topic)) {
+        this.send(client, topic, data);
+      }
+    }
+  }
+
+  /**
+   * Send one message to a client if its connection is open
+   * @param {WebSocket} client Target client
+   * @param {string} topic Message topic
+   * @param {Object} data Payload
+   */
+  send(client, topic, data) {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify({ topic, data, timestamp: new Date() }));
+    }
+  }
+
+  /**
+   * Close all client connections
+   */
+  shutdown() {
+    if (this.wss) {
+      clearInterval(this.heartbeatInterval);
+      this.wss.clients.forEach((client) => client.terminate());
+      this.wss.close();
+      logger.info("Stream server closed");
+    }
+  }
+}
+
+module.exports = new StreamServer();
@@ -0,0 +1,109 @@
+/**
+ * Strategy Loader
+ * Resolves a strategy by name. A strategy is a module exporting
+ *   { name, description, candles, evaluate(snapshot, position, options) }
+ * where evaluate returns { action: 'buy' | 'sell' | 'hold', reason }.
+ *
+ * candles picks the indicator input: 'closed' (default) only uses finished
+ * candles, 'live' also includes the candle that is still open. Either way the
+ * strategy is evaluated on every price update.
+ *
+ * snapshot: { pair, binancePrice, dexPrice, indicators: { rsi, ema, ... },
+ *             timeframes: { '1m': { rsi, ema, ... }, '1h': { ... } }, timestamp }
+ * indicators are the base interval's; timeframes holds every aggregated
+ * timeframe (config.binance.timeframes) plus the base interval.
+ * position: { type: 'long' | null, entryPrice, highestPrice }
+ *
+ * Names that look like paths ('./my-strategy.js') are loaded relative to the
+ * working directory, so custom strategies live outside this project.
+ */
+
+const path = require("path");
+const config = require("../../config");
+
+const BUILT_IN = {
+  "rsi-ema-spread": require("./rsiEmaSpread"),
+  "spread-rsi-or-ema": require("./spreadRsiOrEma"),
+  "trend-filtered-rsi": require("./trendFilteredRsi"),
+};
+
+const ACTIONS = ["buy", "sell", "hold"];
+const CANDLE_MODES = ["closed", "live"];
+
+/**
+ * Load a strategy by built-in name or file path
+ * @param {string} name Strategy name, defaults to config.strategy.name
+ * @returns {Object} Strategy module
+ */
+function loadStrategy(name = config.strategy.name) {
+  let strategy = BUILT_IN[name];
+
+  if (!strategy) {
+    if (!name.startsWith(".") && !path.isAbsolute(name)) {
+      throw new Error(
+        `Unknown strategy ${name}. Built-in strategies: ${Object.keys(
+          BUILT_IN
+        ).join(", ")}`
+      );
+    }
+    strategy = require(path.resolve(name));
+  }
+
+  if (typeof strategy.evaluate !== "function") {
+    throw new Error(`Strategy ${name} does not export evaluate()`);
+  }
+  if (strategy.candles && !CANDLE_MODES.includes(strategy.candles)) {
+    throw new Error(
+      `Strategy ${name} has invalid candles ${strategy.candles}, expected closed or live`
+    );
+  }
+  return strategy;
+}
+
+/**
+ * Candles a strategy's indicators are calculated from
+ * @param {Object} strategy Strategy module
+ * @returns {string} 'closed' or 'live'
+ */
+function getCandleMode(strategy) {
+  const mode = config.strategy.candles || strategy.candles || "closed";
+  if (!CANDLE_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid strategy candles ${mode}, expected closed or live`
+    );
+  }
+  return mode;
+}
+
+/**
+ * Run a strategy and check that it returned a usable decision
+ * @param {Object} strategy Strategy module
+ * @param {Object} snapshot Market snapshot
+ * @param {Object} position Position state
+ * @param {Object} options Strategy options, defaults to config.strategy.options
+ * @returns {Object} { action, reason }
+ */
+function evaluateStrategy(
+  strategy,
+  snapshot,
+  position,
+  options = config.strategy.options
+) {
+  const decision = strategy.evaluate(snapshot, position, options);
+
+  if (!decision || !ACTIONS.includes(decision.action)) {
+    throw new Error(
+      `Strategy ${strategy.name} returned an invalid decision: ${JSON.stringify(
+        decision
+      )}`
+    );
+  }
+  return decision;
+}
+
+module.exports = {
+  BUILT_IN,
+  loadStrategy,
+  getCandleMode,
+  evaluateStrategy,
+};
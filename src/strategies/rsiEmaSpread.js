@@ -0,0 +1,58 @@
+/**
+ * RSI / EMA / Spread Strategy
+ * The bot's original rules: every condition has to hold at once
+ *   buy:  RSI oversold AND Binance price above EMA AND DEX lags Binance by the profit threshold
+ *   sell: RSI overbought AND Binance price below EMA AND DEX leads Binance by the profit threshold
+ */
+
+const config = require("../../config");
+
+module.exports = {
+  name: "rsi-ema-spread",
+  description:
+    "Buy oversold dips the DEX lags on, sell overbought peaks it leads",
+  candles: "closed",
+
+  /**
+   * Decide what to do on this snapshot
+   * @param {Object} snapshot Market snapshot (prices and indicators)
+   * @param {Object} position Current position state
+   * @param {Object} options Overrides for the thresholds
+   * @returns {Object} { action: 'buy' | 'sell' | 'hold', reason }
+   */
+  evaluate(snapshot, position, options = {}) {
+    const {
+      oversold = config.indicators.rsi.oversold,
+      overbought = config.indicators.rsi.overbought,
+      minGap = config.trading.minProfitThreshold,
+    } = options;
+    const { binancePrice, dexPrice, indicators } = snapshot;
+    const { rsi, ema } = indicators;
+
+    if (rsi === null || ema === null || !binancePrice || !dexPrice) {
+      return { action: "hold", reason: "Indicators or prices not ready" };
+    }
+
+    if (position.type === null) {
+      const gap = (binancePrice - dexPrice) / dexPrice;
+      const describe = `RSI ${rsi.toFixed(2)}, price ${
+        binancePrice > ema ? "above" : "below"
+      } EMA, DEX lag ${(gap * 100).toFixed(2)}%`;
+
+      if (rsi < oversold && binancePrice > ema && gap > minGap) {
+        return { action: "buy", reason: describe };
+      }
+      return { action: "hold", reason: `No buy: ${describe}` };
+    }
+
+    const gap = (dexPrice - binancePrice) / binancePrice;
+    const describe = `RSI ${rsi.toFixed(2)}, price ${
+      binancePrice < ema ? "below" : "above"
+    } EMA, DEX lead ${(gap * 100).toFixed(2)}%`;
+
+    if (rsi > overbought && binancePrice < ema && gap > minGap) {
+      return { action: "sell", reason: describe };
+    }
+    return { action: "hold", reason: `No sell: ${describe}` };
+  },
+};
@@ -0,0 +1,73 @@
+/**
+ * Spread + RSI-or-EMA Strategy
+ * The monitoring service's original opportunity rules: the spread has to clear
+ * the profit threshold, confirmed by either RSI or the price's side of the EMA
+ *   buy:  DEX lags Binance AND (RSI oversold OR price below EMA)
+ *   sell: DEX leads Binance AND (RSI overbought OR price above EMA)
+ */
+
+const config = require("../../config");
+
+module.exports = {
+  name: "spread-rsi-or-ema",
+  description: "Trade the spread when RSI or the EMA side confirms it",
+  candles: "closed",
+
+  /**
+   * Decide what to do on this snapshot
+   * @param {Object} snapshot Market snapshot (prices and indicators)
+   * @param {Object} position Current position state
+   * @param {Object} options Overrides for the thresholds
+   * @returns {Object} { action: 'buy' | 'sell' | 'hold', reason }
+   */
+  evaluate(snapshot, position, options = {}) {
+    const {
+      oversold = config.indicators.rsi.oversold,
+      overbought = config.indicators.rsi.overbought,
+      minGap = config.trading.minProfitThreshold,
+    } = options;
+    const { binancePrice, dexPrice, indicators } = snapshot;
+    const { rsi, ema } = indicators;
+
+    if (!binancePrice || !dexPrice) {
+      return { action: "hold", reason: "Prices not ready" };
+    }
+
+    // Positive when the DEX lags Binance, negative when it leads
+    const gap = (binancePrice - dexPrice) / dexPrice;
+
+    if (position.type === null) {
+      const rsiCheck = rsi !== null && rsi < oversold;
+      const emaCheck = ema !== null && binancePrice < ema;
+
+      if (gap > minGap && (rsiCheck || emaCheck)) {
+        return {
+          action: "buy",
+          reason: `DEX lags ${(gap * 100).toFixed(2)}%, confirmed by ${
+            rsiCheck ? "oversold RSI" : "price below EMA"
+          }`,
+        };
+      }
+      return {
+        action: "hold",
+        reason: `No buy: gap ${(gap * 100).toFixed(2)}%`,
+      };
+    }
+
+    const rsiCheck = rsi !== null && rsi > overbought;
+    const emaCheck = ema !== null && binancePrice > ema;
+
+    if (gap < -minGap && (rsiCheck || emaCheck)) {
+      return {
+        action: "sell",
+        reason: `DEX leads ${(-gap * 100).toFixed(2)}%, confirmed by ${
+          rsiCheck ? "overbought RSI" : "price above EMA"
+        }`,
+      };
+    }
+    return {
+      action: "hold",
+      reason: `No sell: gap ${(gap * 100).toFixed(2)}%`,
+    };
+  },
+};
@@ -0,0 +1,74 @@
+/**
+ * Trend-Filtered RSI Strategy
+ * Takes oversold dips only while a higher timeframe trends up
+ *   buy:  trend timeframe EMA rising AND base RSI oversold AND DEX lags Binance
+ *   sell: (base RSI overbought OR trend EMA falling) AND DEX leads Binance
+ */
+
+const config = require("../../config");
+
+module.exports = {
+  name: "trend-filtered-rsi",
+  description: "Buy oversold dips in a higher timeframe uptrend",
+  candles: "closed",
+
+  /**
+   * Decide what to do on this snapshot
+   * @param {Object} snapshot Market snapshot (prices and indicators)
+   * @param {Object} position Current position state
+   * @param {Object} options Overrides for the thresholds and trend timeframe
+   * @returns {Object} { action: 'buy' | 'sell' | 'hold', reason }
+   */
+  evaluate(snapshot, position, options = {}) {
+    const {
+      trendTimeframe = "1h",
+      oversold = config.indicators.rsi.oversold,
+      overbought = config.indicators.rsi.overbought,
+      minGap = config.trading.minProfitThreshold,
+    } = options;
+    const { binancePrice, dexPrice, indicators, timeframes = {} } = snapshot;
+    const trend = timeframes[trendTimeframe];
+
+    if (!trend) {
+      return {
+        action: "hold",
+        reason: `Timeframe ${trendTimeframe} is not aggregated`,
+      };
+    }
+
+    if (
+      indicators.rsi === null ||
+      trend.ema === null ||
+      trend.previousEma === null ||
+      !binancePrice ||
+      !dexPrice
+    ) {
+      return { action: "hold", reason: "Indicators or prices not ready" };
+    }
+
+    const trendUp = trend.ema > trend.previousEma;
+    const describe = `${trendTimeframe} EMA ${
+      trendUp ? "rising" : "falling"
+    }, RSI ${indicators.rsi.toFixed(2)}`;
+
+    if (position.type === null) {
+      const gap = (binancePrice - dexPrice) / dexPrice;
+      if (trendUp && indicators.rsi < oversold && gap > minGap) {
+        return {
+          action: "buy",
+          reason: `${describe}, DEX lag ${(gap * 100).toFixed(2)}%`,
+        };
+      }
+      return { action: "hold", reason: `No buy: ${describe}` };
+    }
+
+    const gap = (dexPrice - binancePrice) / binancePrice;
+    if ((indicators.rsi > overbought || !trendUp) && gap > minGap) {
+      return {
+        action: "sell",
+        reason: `${describe}, DEX lead ${(gap * 100).toFixed(2)}%`,
+      };
+    }
+    return { action: "hold", reason: `No sell: ${describe}` };
+  },
+};
@@ -0,0 +1,220 @@
+/**
+ * ExecutionCoordinator Module
+ * Serializes the trades of one pair through an explicit state machine:
+ *
+ *   idle --enter--> entering --filled--> long --exit--> exiting --filled--> idle
+ *
+ * entering and exiting hold the pair's lock while the swap is in flight, so a
+ * second buy signal, or a signal sell racing a stop-loss sell, is rejected
+ * instead of sending another swap. A swap that fills nothing or fails returns
+ * the pair to the state it started from. The coordinator also opens and
+ * closes the tracked position at the fill's execution price, so that happens
+ * exactly once per fill, and journals every trade once the executor's
+ * pre-trade checks have passed, before it is sent.
+ */
+
+const logger = require("../../utils/logger");
+const TradeExecutor = require("./TradeExecutor");
+const TradeJournal = require("./TradeJournal");
+
+// State each action starts from, the state it holds while in flight and the one it ends in
+const TRANSITIONS = {
+  enter: { from: "idle", during: "entering", to: "long" },
+  exit: { from: "long", during: "exiting", to: "idle" },
+};
+
+class ExecutionCoordinator {
+  /**
+   * @param {Object} deps Per-pair dependencies
+   * @param {Object} deps.pair Resolved pair, passed to the executor
+   * @param {PositionManager} deps.positionManager Position of the pair
+   * @param {DexPriceMonitor} deps.dexPriceMonitor Live DEX prices for entry and exit prices
+   */
+  constructor({ pair, positionManager, dexPriceMonitor }) {
+    this.pair = pair;
+    this.positionManager = positionManager;
+    this.dexPriceMonitor = dexPriceMonitor;
+    this.executor = TradeExecutor;
+    this.state = "idle";
+  }
+
+  /**
+   * Take the state from the position, e.g. one restored from the journal.
+   * A swap the last run left pending holds the lock until it resolves
+   */
+  initialize() {
+    this.state =
+      this.positionManager.getCurrentPosition().type === "long"
+        ? "long"
+        : "idle";
+
+    const pending = TradeJournal.getPendingIntent(this.pair.id);
+    if (pending) {
+      this.resume(pending);
+    }
+  }
+
+  /**
+   * Wait for a swap the last run left pending, in the state it was sent
+   * from, then settle it like any other fill
+   * @param {Object} intent Submitted intent from the journal
+   * @returns {Object|null} Trade record if it filled
+   */
+  async resume(intent) {
+    const { from, during, to } =
+      TRANSITIONS[intent.side === "buy" ? "enter" : "exit"];
+    this.setState(during);
+    logger.warn(
+      `${this.pair.id} ${intent.side} from the last run is still pending, trading resumes once it resolves`
+    );
+
+    try {
+      const fill = await TradeJournal.resolveSubmitted(
+        intent,
+        Infinity,
+        (pending, receipt) => TradeExecutor.readRecoveredFill(pending, receipt)
+      );
+      if (!fill) {
+        this.setState(from);
+        return null;
+      }
+
+      const trade = fill.trade && TradeExecutor.recordTrade(fill.trade);
+      if (intent.side === "buy") {
+        this.positionManager.openPosition(fill.intent.price);
+      } else {
+        this.positionManager.closePosition(fill.intent.price);
+      }
+      this.setState(to);
+      return trade;
+    } catch (error) {
+      // The intent is still journaled, so the next start tries again
+      logger.error(
+        `Failed to settle pending ${this.pair.id} ${intent.side}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Replace the executor used for swaps (e.g. a simulated one)
+   * @param {Object} executor Object exposing executeBuy(pair) and executeSell(pair)
+   */
+  setExecutor(executor) {
+    this.executor = executor;
+  }
+
+  /**
+   * Get the pair's execution state
+   * @returns {string} 'idle', 'entering', 'long' or 'exiting'
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Buy and open the position, if the pair is idle
+   * @param {string} source What asked for the entry, e.g. 'signal'
+   * @returns {Object|false|null} Trade record, false if nothing filled, null if rejected
+   */
+  async enter(source) {
+    return this.run("enter", source, (hooks) =>
+      this.executor.executeBuy(this.pair, hooks)
+    );
+  }
+
+  /**
+   * Sell and close the position, if the pair is long
+   * @param {string} source What asked for the exit, e.g. 'signal' or 'stop-loss'
+   * @returns {Object|false|null} Trade record, false if nothing filled, null if rejected
+   */
+  async exit(source) {
+    return this.run("exit", source, (hooks) =>
+      this.executor.executeSell(this.pair, hooks)
+    );
+  }
+
+  /**
+   * Take the lock for an action, run its swap and settle the position and state
+   * @param {string} action 'enter' or 'exit'
+   * @param {string} source What asked for the action
+   * @param {Function} execute Swap to run, called with the executor's
+   *   { onSending, onSubmitted } hooks; returns the trade result
+   * @returns {Object|false|null} Trade result, null if rejected
+   */
+  async run(action, source, execute) {
+    const { from, during, to } = TRANSITIONS[action];
+
+    // The check and the transition happen before any await, so they are atomic
+    if (this.state !== from) {
+      logger.warn(
+        `${this.pair.id} ${source} ${action} rejected: execution state is ${this.state}`
+      );
+      return null;
+    }
+    this.setState(during);
+
+    // Trades the executor refuses before sending (halt, congestion, gas,
+    // balance) never reach the journal. Executors without an onSending hook,
+    // e.g. simulated ones, get their intent at the first hash or the fill
+    let intent = null;
+    const ensureIntent = (route = null) => {
+      if (!intent) {
+        intent = TradeJournal.createIntent(
+          this.pair.id,
+          action === "enter" ? "buy" : "sell",
+          this.dexPriceMonitor.getCurrentPrice(),
+          route
+        );
+      }
+      return intent;
+    };
+
+    try {
+      const result = await execute({
+        onSending: ensureIntent,
+        onSubmitted: (txHash, nonce) =>
+          TradeJournal.markSubmitted(ensureIntent(), txHash, nonce),
+      });
+
+      if (!result) {
+        if (intent) {
+          TradeJournal.markFailed(intent, "Nothing filled");
+        }
+        this.setState(from);
+        return result;
+      }
+
+      // Journal the fill first; a crash before the position update is
+      // replayed from it on the next start. Executors that do not report an
+      // execution price fall back to the DEX price
+      const price =
+        result.executionPrice || this.dexPriceMonitor.getCurrentPrice();
+      TradeJournal.markConfirmed(ensureIntent(), price, result);
+      if (action === "enter") {
+        this.positionManager.openPosition(price);
+      } else {
+        this.positionManager.closePosition(price);
+      }
+      this.setState(to);
+      return result;
+    } catch (error) {
+      if (intent) {
+        TradeJournal.markFailed(intent, error.message);
+      }
+      this.setState(from);
+      throw error;
+    }
+  }
+
+  /**
+   * Move to a new state
+   * @param {string} state New state
+   */
+  setState(state) {
+    logger.debug(`${this.pair.id} execution ${this.state} -> ${state}`);
+    this.state = state;
+  }
+}
+
+module.exports = ExecutionCoordinator;
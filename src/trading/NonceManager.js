@@ -0,0 +1,160 @@
+/**
+ * NonceManager Module
+ * Hands out wallet nonces locally so concurrent sends from one wallet do not
+ * collide on a provider-assigned nonce
+ *
+ * Sends are serialized per wallet: each one takes the next local nonce and
+ * only releases the wallet once the node has accepted the transaction. The
+ * local counter is resynced from the chain on first use, after "nonce too
+ * low" errors (the nonce was used elsewhere) and after failed sends (the
+ * nonce may never have reached the node, leaving a gap). "already known"
+ * means an earlier broadcast of the same signed transaction reached the
+ * mempool, so it counts as sent rather than as a used nonce.
+ */
+
+const { ethers } = require("ethers");
+const logger = require("../../utils/logger");
+
+// A send is retried with a fresh nonce this many times at most
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Whether an error means the nonce is already used by another transaction
+ * @param {Error} error Error thrown by the send
+ * @returns {Boolean} True for "nonce too low"
+ */
+function isNonceUsed(error) {
+  return (
+    error.code === "NONCE_EXPIRED" ||
+    (error.message || "").toLowerCase().includes("nonce too low")
+  );
+}
+
+/**
+ * Hash of our own transaction when the node reports it as "already known"
+ * @param {Error} error Error thrown by the send
+ * @returns {string|null} Hash of the signed transaction the failed
+ *   eth_sendRawTransaction carried, null for any other error
+ */
+function getKnownTransactionHash(error) {
+  if (!(error.message || "").toLowerCase().includes("already known")) {
+    return null;
+  }
+  const signedTx =
+    error.payload && error.payload.params && error.payload.params[0];
+  return typeof signedTx === "string" ? ethers.keccak256(signedTx) : null;
+}
+
+class NonceManager {
+  constructor() {
+    this.nextNonces = new Map(); // wallet address -> next nonce to hand out
+    this.locks = new Map(); // wallet address -> tail of the send queue
+  }
+
+  /**
+   * Send a transaction with the wallet's next nonce, one send at a time
+   * @param {Wallet} wallet Sending wallet
+   * @param {Function} sendTransaction Called with the nonce, returns a transaction response
+   * @returns {Object} Transaction response, or just { hash, nonce } when the
+   *   node already had the transaction
+   */
+  async send(wallet, sendTransaction) {
+    return this.withLock(wallet.address, async () => {
+      for (let attempt = 1; ; attempt++) {
+        const nonce = await this.getNextNonce(wallet);
+
+        try {
+          const tx = await sendTransaction(nonce);
+          this.nextNonces.set(wallet.address, nonce + 1);
+          return tx;
+        } catch (error) {
+          // The transaction is in the mempool, so track it on this nonce
+          const knownHash = getKnownTransactionHash(error);
+          if (knownHash) {
+            logger.warn(
+              `Nonce ${nonce} of ${wallet.address} already sent as ${knownHash}`
+            );
+            this.nextNonces.set(wallet.address, nonce + 1);
+            return { hash: knownHash, nonce };
+          }
+
+          // Either way the local counter can no longer be trusted
+          this.nextNonces.delete(wallet.address);
+
+          if (!isNonceUsed(error) || attempt >= MAX_ATTEMPTS) {
+            throw error;
+          }
+          logger.warn(
+            `Nonce ${nonce} of ${wallet.address} already used, resyncing: ${error.message}`
+          );
+        }
+      }
+    });
+  }
+
+  /**
+   * Next nonce for a wallet, read from the chain if not known locally
+   * @param {Wallet} wallet Wallet
+   * @returns {number} Nonce
+   */
+  async getNextNonce(wallet) {
+    if (!this.nextNonces.has(wallet.address)) {
+      await this.resync(wallet);
+    }
+    return this.nextNonces.get(wallet.address);
+  }
+
+  /**
+   * Reset a wallet's local nonce to the chain's pending transaction count
+   * @param {Wallet} wallet Wallet
+   * @returns {number} Next nonce
+   */
+  async resync(wallet) {
+    const nonce = await wallet.getNonce("pending");
+    const previous = this.nextNonces.get(wallet.address);
+    if (previous !== undefined && previous !== nonce) {
+      logger.warn(
+        `Nonce of ${wallet.address} resynced from ${previous} to ${nonce}`
+      );
+    }
+    this.nextNonces.set(wallet.address, nonce);
+    return nonce;
+  }
+
+  /**
+   * Forget a wallet's local nonce, e.g. after one of its transactions was
+   * dropped, so the next send reads it from the chain again
+   * @param {string} address Wallet address
+   */
+  invalidate(address) {
+    this.nextNonces.delete(address);
+  }
+
+  /**
+   * Run a task once every earlier task of the same wallet has finished
+   * @param {string} address Wallet address
+   * @param {Function} task Async function to run
+   * @returns {*} Result of the task
+   */
+  async withLock(address, task) {
+    const previous = this.locks.get(address) || Promise.resolve();
+    let release;
+    const current = new Promise((resolve) => {
+      release = resolve;
+    });
+    const tail = previous.then(() => current);
+    this.locks.set(address, tail);
+
+    await previous;
+    try {
+      return await task();
+    } finally {
+      release();
+      if (this.locks.get(address) === tail) {
+        this.locks.delete(address);
+      }
+    }
+  }
+}
+
+module.exports = new NonceManager();
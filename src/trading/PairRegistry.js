@@ -0,0 +1,123 @@
+/**
+ * PairRegistry Module
+ * Resolves the configured trading pairs into token addresses and on-chain decimals
+ */
+
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const contracts = require("../../utils/contract");
+
+class PairRegistry {
+  constructor() {
+    this.contracts = contracts;
+    this.pairs = new Map(); // pair id -> resolved pair
+    this.tokens = new Map(); // lowercase address -> { symbol, address, decimals }
+  }
+
+  /**
+   * Swap the token contracts decimals are read from
+   * @param {Object} overrides Replacement token contracts
+   */
+  useContracts(overrides) {
+    this.contracts = { ...this.contracts, ...overrides };
+  }
+
+  /**
+   * Resolve every active pair, reading token decimals from the chain
+   */
+  async initialize() {
+    logger.info("Resolving trading pairs...");
+
+    for (const id of config.activePairs) {
+      const pair = await this.resolvePair(id.trim());
+      logger.info(
+        `Pair ${pair.id}: ${pair.base.symbol} (${pair.base.decimals} decimals) / ${pair.quote.symbol} (${pair.quote.decimals} decimals), Binance ${pair.binanceSymbol}`
+      );
+    }
+
+    return this.getPairs();
+  }
+
+  /**
+   * Resolve one configured pair, reading token decimals from the chain
+   * @param {string} id Pair id from config.pairs
+   * @returns {Object} Pair with id, binanceSymbol and resolved base/quote tokens
+   */
+  async resolvePair(id) {
+    if (this.pairs.has(id)) {
+      return this.pairs.get(id);
+    }
+
+    const pairConfig = config.pairs.find((pair) => pair.id === id);
+    if (!pairConfig) {
+      throw new Error(`Unknown trading pair: ${id}`);
+    }
+
+    const pair = {
+      id: pairConfig.id,
+      binanceSymbol: pairConfig.binanceSymbol,
+      base: await this.resolveToken(pairConfig.base),
+      quote: await this.resolveToken(pairConfig.quote),
+    };
+
+    this.pairs.set(pair.id, pair);
+    return pair;
+  }
+
+  /**
+   * Look up a token's address and read its decimals, once per token
+   * @param {string} symbol Token symbol in config.tokens
+   * @returns {Object} Token with symbol, address and decimals
+   */
+  async resolveToken(symbol) {
+    const address = config.tokens[symbol];
+    if (!address) {
+      throw new Error(`No address configured for token ${symbol}`);
+    }
+
+    const key = address.toLowerCase();
+    if (!this.tokens.has(key)) {
+      const decimals = await this.contracts
+        .getTokenContract(address)
+        .decimals();
+      this.tokens.set(key, { symbol, address, decimals: Number(decimals) });
+    }
+    return this.tokens.get(key);
+  }
+
+  /**
+   * Get a resolved pair by id
+   * @param {string} id Pair id, e.g. 'WBTC-BUSD'
+   * @returns {Object|undefined} Resolved pair
+   */
+  getPair(id) {
+    return this.pairs.get(id);
+  }
+
+  /**
+   * Get all resolved pairs
+   * @returns {Array} Resolved pairs
+   */
+  getPairs() {
+    return Array.from(this.pairs.values());
+  }
+
+  /**
+   * Find a resolved token by address
+   * @param {string} address Token address
+   * @returns {Object|undefined} Token with symbol, address and decimals
+   */
+  getToken(address) {
+    return this.tokens.get(address.toLowerCase());
+  }
+
+  /**
+   * Get every token used by the active pairs
+   * @returns {Array} Tokens with symbol, address and decimals
+   */
+  getTokens() {
+    return Array.from(this.tokens.values());
+  }
+}
+
+module.exports = new PairRegistry();
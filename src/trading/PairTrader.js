@@ -0,0 +1,205 @@
+/**
+ * PairTrader Module
+ * Owns the monitors, signal detector, position and stop-loss of one trading pair
+ * and sends their trades through the pair's execution coordinator
+ */
+
+const logger = require("../../utils/logger");
+const BinanceService = require("../monitoring/BinanceService");
+const DexPriceMonitor = require("../monitoring/DexPriceMonitor");
+const IndicatorCalculator = require("../monitoring/IndicatorCalculator");
+const SignalDetector = require("./SignalDetector");
+const ProfitabilityModel = require("./ProfitabilityModel");
+const PositionManager = require("./PositionManager");
+const ExecutionCoordinator = require("./ExecutionCoordinator");
+const TradeJournal = require("./TradeJournal");
+const StopLossManager = require("../risk/StopLossManager");
+
+class PairTrader {
+  /**
+   * @param {Object} pair Resolved pair from PairRegistry
+   */
+  constructor(pair) {
+    this.pair = pair;
+    this.binanceService = new BinanceService(pair.binanceSymbol);
+    this.dexPriceMonitor = new DexPriceMonitor(pair);
+
+    // One calculator per timeframe; the base interval's drives the default snapshot
+    this.indicatorCalculators = {};
+    for (const timeframe of this.binanceService.getTimeframes()) {
+      this.indicatorCalculators[timeframe] = new IndicatorCalculator();
+    }
+    this.indicatorCalculator =
+      this.indicatorCalculators[this.binanceService.interval];
+
+    this.positionManager = new PositionManager(pair.id);
+    this.profitabilityModel = new ProfitabilityModel({ pair });
+    this.signalDetector = new SignalDetector({
+      pairId: pair.id,
+      indicatorCalculator: this.indicatorCalculator,
+      timeframeIndicators: this.indicatorCalculators,
+      binanceService: this.binanceService,
+      dexPriceMonitor: this.dexPriceMonitor,
+      profitabilityModel: this.profitabilityModel,
+    });
+    this.executionCoordinator = new ExecutionCoordinator({
+      pair,
+      positionManager: this.positionManager,
+      dexPriceMonitor: this.dexPriceMonitor,
+    });
+    this.stopLossManager = new StopLossManager({
+      pair,
+      positionManager: this.positionManager,
+      dexPriceMonitor: this.dexPriceMonitor,
+    });
+    // Stop-loss exits take the same lock as signal exits and close the position there
+    this.stopLossManager.setExecutor({
+      executeSell: () => this.executionCoordinator.exit("stop-loss"),
+    });
+    this.callbacks = {
+      onEvent: null,
+    };
+  }
+
+  /**
+   * Start the pair's monitors and risk checks
+   */
+  async initialize() {
+    logger.info(`Initializing ${this.pair.id} trader...`);
+
+    // Initialize monitoring services
+    await this.binanceService.initialize();
+    await this.dexPriceMonitor.initialize();
+
+    // Initialize trading components
+    this.positionManager.initialize();
+
+    // Pick up a position the journal says is still open before trading again
+    const openPosition = TradeJournal.getOpenPosition(this.pair.id);
+    if (openPosition) {
+      this.positionManager.restorePosition(
+        openPosition.entryPrice,
+        openPosition.highestPrice
+      );
+    }
+    this.executionCoordinator.initialize();
+    await this.profitabilityModel.initialize();
+    this.signalDetector.initialize();
+    this.stopLossManager.initialize();
+
+    // Set up indicator calculators with initial data
+    for (const [timeframe, calculator] of Object.entries(
+      this.indicatorCalculators
+    )) {
+      calculator.initialize(this.binanceService.getCandles(false, timeframe));
+    }
+
+    // Register event handlers
+    this.registerEventHandlers();
+
+    // Start monitoring for stop-loss
+    this.stopLossManager.startMonitoring();
+
+    logger.info(`${this.pair.id} trader running`);
+  }
+
+  registerEventHandlers() {
+    // Binance price updates
+    // Indicators only advance when a candle of their timeframe closes
+    this.binanceService.onCandleClosed((timeframe, candle) => {
+      this.indicatorCalculators[timeframe].updateIndicators(candle);
+    });
+
+    this.binanceService.onPriceUpdate((price, candle) => {
+      // Check for trading signals on every update so spread moves are caught
+      // within the candle
+      this.signalDetector.checkSignals(
+        this.positionManager.getCurrentPosition(),
+        this.signalDetector.getMarketSnapshot(candle)
+      );
+    });
+
+    // Trading signals. Nothing awaits these handlers, so failures are logged
+    // here; the coordinator has already reset its state
+    this.signalDetector.onBuySignal(async (signal) => {
+      this.emitEvent("signals", signal);
+      logger.info(`Processing ${this.pair.id} buy signal...`);
+      try {
+        await this.executionCoordinator.enter("signal");
+      } catch (error) {
+        logger.error(`${this.pair.id} buy signal failed: ${error.message}`);
+      }
+    });
+
+    this.signalDetector.onSellSignal(async (signal) => {
+      this.emitEvent("signals", signal);
+      logger.info(`Processing ${this.pair.id} sell signal...`);
+      try {
+        await this.executionCoordinator.exit("signal");
+      } catch (error) {
+        logger.error(`${this.pair.id} sell signal failed: ${error.message}`);
+      }
+    });
+
+    // Position management
+    this.positionManager.onPositionOpened((position) => {
+      logger.info(`New position opened: ${JSON.stringify(position)}`);
+      this.emitEvent("positions", { event: "opened", ...position });
+    });
+
+    this.positionManager.onPositionClosed((position) => {
+      logger.info(`Position closed: ${JSON.stringify(position)}`);
+      this.emitEvent("positions", { event: "closed", ...position });
+    });
+
+    // The trailing stop resumes from the journaled high after a restart
+    this.positionManager.onHighestPriceUpdated((price) =>
+      TradeJournal.recordHighestPrice(this.pair.id, price)
+    );
+  }
+
+  /**
+   * Sell the open position at market, e.g. for the kill switch
+   * @returns {Object|null} Sell trade record, null if no position was open
+   *   or another exit is already in flight
+   */
+  async flatten() {
+    if (this.positionManager.getCurrentPosition().type === null) {
+      return null;
+    }
+
+    logger.warn(`Flattening ${this.pair.id} position...`);
+    return this.executionCoordinator.exit("kill-switch");
+  }
+
+  /**
+   * Pass a signal or position event to the registered callback
+   * @param {string} topic 'signals' or 'positions'
+   * @param {Object} data Event payload
+   */
+  emitEvent(topic, data) {
+    if (this.callbacks.onEvent) {
+      this.callbacks.onEvent(topic, data);
+    }
+  }
+
+  /**
+   * Register a callback for the pair's signal and position events
+   * @param {Function} callback Function called with (topic, data)
+   */
+  onEvent(callback) {
+    this.callbacks.onEvent = callback;
+  }
+
+  /**
+   * Stop the pair's monitors and risk checks
+   */
+  shutdown() {
+    this.binanceService.shutdown();
+    this.dexPriceMonitor.shutdown();
+    this.profitabilityModel.shutdown();
+    this.stopLossManager.shutdown();
+  }
+}
+
+module.exports = PairTrader;
@@ -0,0 +1,136 @@
+/**
+ * PaperLedger Module
+ * Virtual token balances used to simulate fills in paper trading mode
+ */
+
+const { ethers } = require("ethers");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { readStateFile, writeStateFile } = require("../../utils/stateFile");
+const PairRegistry = require("./PairRegistry");
+
+class PaperLedger {
+  constructor() {
+    this.balances = {}; // token symbol -> bigint amount in token decimals
+    this.fillCount = 0;
+  }
+
+  /**
+   * Load the ledger from disk, or seed it from the configured balances.
+   * Tracks the tokens of the active pairs, so PairRegistry must be initialized
+   */
+  initialize() {
+    const ledgerFile = config.paper.ledgerFile;
+    const saved = readStateFile(ledgerFile);
+
+    if (saved) {
+      for (const [symbol, amount] of Object.entries(saved.balances)) {
+        this.balances[symbol] = BigInt(amount);
+      }
+      // Tokens of pairs added since the last run start empty
+      for (const token of PairRegistry.getTokens()) {
+        this.balances[token.symbol] = this.balances[token.symbol] || 0n;
+      }
+      this.fillCount = saved.fillCount || 0;
+      logger.info(`Paper ledger restored from ${ledgerFile}`);
+    } else {
+      for (const token of PairRegistry.getTokens()) {
+        this.balances[token.symbol] = ethers.parseUnits(
+          config.paper.initialBalances[token.symbol] || "0",
+          token.decimals
+        );
+      }
+      logger.info("Paper ledger seeded from configured balances");
+    }
+
+    logger.info(`Paper balances: ${JSON.stringify(this.getBalances())}`);
+    return true;
+  }
+
+  /**
+   * Find the ledger symbol for a token address
+   * @param {string} address Token address
+   * @returns {string} Token symbol
+   */
+  getSymbol(address) {
+    const token = PairRegistry.getToken(address);
+
+    if (!token) {
+      throw new Error(`Token ${address} is not tracked by the paper ledger`);
+    }
+    return token.symbol;
+  }
+
+  /**
+   * Get the virtual balance of a token
+   * @param {string} address Token address
+   * @returns {bigint} Balance in token decimals
+   */
+  getBalance(address) {
+    return this.balances[this.getSymbol(address)] || 0n;
+  }
+
+  /**
+   * Get all virtual balances in human-readable units
+   * @returns {Object} Balances keyed by token symbol
+   */
+  getBalances() {
+    const formatted = {};
+    for (const token of PairRegistry.getTokens()) {
+      formatted[token.symbol] = ethers.formatUnits(
+        this.balances[token.symbol] || 0n,
+        token.decimals
+      );
+    }
+    return formatted;
+  }
+
+  /**
+   * Simulate a swap by moving virtual balances at the quoted amount
+   * @param {Array} swapPath Token addresses [tokenIn, tokenOut]
+   * @param {bigint} amountIn Amount of tokenIn spent
+   * @param {bigint} amountOut Amount of tokenOut received
+   * @returns {Object} Simulated transaction hash and block number
+   */
+  simulateSwap(swapPath, amountIn, amountOut) {
+    const symbolIn = this.getSymbol(swapPath[0]);
+    const symbolOut = this.getSymbol(swapPath[swapPath.length - 1]);
+
+    if ((this.balances[symbolIn] || 0n) < amountIn) {
+      throw new Error(`Insufficient paper ${symbolIn} balance`);
+    }
+
+    this.balances[symbolIn] -= amountIn;
+    this.balances[symbolOut] = (this.balances[symbolOut] || 0n) + amountOut;
+    this.fillCount++;
+    this.save();
+
+    logger.info(`Paper balances: ${JSON.stringify(this.getBalances())}`);
+
+    return {
+      txHash: `paper-${Date.now()}-${this.fillCount}`,
+      blockNumber: null,
+    };
+  }
+
+  /**
+   * Persist the ledger so a restart does not reset a paper run
+   */
+  save() {
+    try {
+      const balances = {};
+      for (const [symbol, amount] of Object.entries(this.balances)) {
+        balances[symbol] = amount.toString();
+      }
+
+      writeStateFile(config.paper.ledgerFile, {
+        balances,
+        fillCount: this.fillCount,
+      });
+    } catch (error) {
+      logger.error(`Failed to save paper ledger: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new PaperLedger();
@@ -0,0 +1,342 @@
+/**
+ * PnlLedger Module
+ * Records every fill and matches sells to buys FIFO, so each pair has
+ * realized PnL per tax lot and unrealized PnL of what is still open
+ *
+ * A buy opens a lot costing what was paid plus its gas in USD. A sell uses
+ * up the oldest lots first; every slice it takes becomes a closed lot with
+ * its cost basis, its proceeds (received minus its share of the sell's gas)
+ * and the realized difference. Pool fees are already taken out of the
+ * swapped amounts, so they are reported but not subtracted again. Quote
+ * tokens are USD stablecoins, so quote amounts are summed as USD.
+ */
+
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { readStateFile, writeStateFile } = require("../../utils/stateFile");
+const DexAdapter = require("../dex/adapters/DexAdapter");
+const NetworkMonitor = require("../risk/NetworkMonitor");
+const TraderRegistry = require("./TraderRegistry");
+
+// Share of a fill small enough to be float rounding rather than a quantity
+const DUST = 1e-9;
+
+const CSV_COLUMNS = [
+  "pair",
+  "quantity",
+  "acquiredAt",
+  "disposedAt",
+  "costBasis",
+  "proceeds",
+  "fees",
+  "gas",
+  "realized",
+  "buyTxHash",
+  "sellTxHash",
+];
+
+/**
+ * Format a value as a CSV field
+ * @param {*} value Field value
+ * @returns {string} Field, quoted if it needs to be
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class PnlLedger {
+  constructor() {
+    this.state = this.createState();
+  }
+
+  /**
+   * Empty ledger
+   * @returns {Object} Ledger state
+   */
+  createState() {
+    return {
+      fills: [],
+      openLots: {}, // pair id -> lots still held, oldest first
+      closedLots: [],
+    };
+  }
+
+  /**
+   * Load the saved ledger
+   */
+  initialize() {
+    const ledgerFile = config.pnl.ledgerFile;
+    const saved = readStateFile(ledgerFile);
+    if (saved) {
+      this.state = { ...this.createState(), ...saved };
+      logger.info(
+        `PnL ledger restored from ${ledgerFile}: ${this.state.fills.length} fill(s)`
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Record a filled trade and match it against the open lots
+   * @param {Object} trade Trade record from TradeExecutor
+   * @returns {Object} Recorded fill; realized is the sell's realized PnL,
+   *   null if none of it matched a lot
+   */
+  recordFill(trade) {
+    const buy = trade.type === "buy";
+    const amountIn = parseFloat(trade.amountIn);
+    const amountOut = parseFloat(trade.amountOut);
+    const quantity = buy ? amountOut : amountIn;
+    const quoteAmount = buy ? amountIn : amountOut;
+    const price = quoteAmount / quantity;
+
+    // The pool keeps its fee out of the input token
+    const feeRate =
+      trade.feeTier !== undefined
+        ? trade.feeTier / DexAdapter.FEE_TIER_DENOMINATOR
+        : config.dex.swapFee;
+    const fee = buy ? amountIn * feeRate : amountIn * feeRate * price;
+
+    const fill = {
+      txHash: trade.txHash,
+      pair: trade.pair,
+      side: trade.type,
+      quantity,
+      quoteAmount,
+      price,
+      fee,
+      gasCost: trade.gasCost ? parseFloat(trade.gasCost) : 0,
+      gasUsd: this.getGasUsd(trade),
+      timestamp: new Date(trade.timestamp || Date.now()).toISOString(),
+      realized: null,
+    };
+    this.state.fills.push(fill);
+
+    if (buy) {
+      this.openLot(fill);
+    } else {
+      fill.realized = this.closeLots(fill);
+    }
+    this.save();
+
+    return fill;
+  }
+
+  /**
+   * Value a trade's gas in USD at the current BNB price
+   * @param {Object} trade Trade record from TradeExecutor
+   * @returns {number} Gas cost in USD, 0 for paper fills
+   */
+  getGasUsd(trade) {
+    if (!trade.gasCost) {
+      return 0;
+    }
+
+    const bnbPrice = NetworkMonitor.getBnbPrice();
+    if (bnbPrice === null) {
+      logger.warn(
+        `No BNB price yet, ${trade.pair} ${trade.type} gas of ${trade.gasCost} BNB counts as 0 in the PnL ledger`
+      );
+      return 0;
+    }
+    return parseFloat(trade.gasCost) * bnbPrice;
+  }
+
+  /**
+   * Open a lot for a buy
+   * @param {Object} fill Buy fill
+   */
+  openLot(fill) {
+    const lots = this.state.openLots[fill.pair] || [];
+    lots.push({
+      txHash: fill.txHash,
+      acquiredAt: fill.timestamp,
+      quantity: fill.quantity,
+      remaining: fill.quantity,
+      cost: fill.quoteAmount + fill.gasUsd,
+      fee: fill.fee,
+      gasUsd: fill.gasUsd,
+    });
+    this.state.openLots[fill.pair] = lots;
+  }
+
+  /**
+   * Close the oldest lots a sell used up
+   * @param {Object} fill Sell fill
+   * @returns {number|null} Realized PnL of the matched lots, null if none matched
+   */
+  closeLots(fill) {
+    const lots = this.state.openLots[fill.pair] || [];
+    const netProceeds = fill.quoteAmount - fill.gasUsd;
+    let remaining = fill.quantity;
+    let realized = null;
+
+    while (remaining > fill.quantity * DUST && lots.length > 0) {
+      const lot = lots[0];
+      const quantity = Math.min(remaining, lot.remaining);
+      const sellShare = quantity / fill.quantity;
+      const lotShare = quantity / lot.quantity;
+
+      const costBasis = lot.cost * lotShare;
+      const proceeds = netProceeds * sellShare;
+      realized = (realized || 0) + proceeds - costBasis;
+      this.state.closedLots.push({
+        pair: fill.pair,
+        quantity,
+        acquiredAt: lot.acquiredAt,
+        disposedAt: fill.timestamp,
+        costBasis,
+        proceeds,
+        fees: lot.fee * lotShare + fill.fee * sellShare,
+        gas: lot.gasUsd * lotShare + fill.gasUsd * sellShare,
+        realized: proceeds - costBasis,
+        buyTxHash: lot.txHash,
+        sellTxHash: fill.txHash,
+      });
+
+      lot.remaining -= quantity;
+      remaining -= quantity;
+      if (lot.remaining <= lot.quantity * DUST) {
+        lots.shift();
+      }
+    }
+    this.state.openLots[fill.pair] = lots;
+
+    // Base the wallet held before the ledger started has no known cost
+    if (remaining > fill.quantity * DUST) {
+      const sellShare = remaining / fill.quantity;
+      logger.warn(
+        `${fill.pair} sell of ${remaining} has no open lot to match, its PnL is left out`
+      );
+      this.state.closedLots.push({
+        pair: fill.pair,
+        quantity: remaining,
+        acquiredAt: null,
+        disposedAt: fill.timestamp,
+        costBasis: null,
+        proceeds: netProceeds * sellShare,
+        fees: fill.fee * sellShare,
+        gas: fill.gasUsd * sellShare,
+        realized: null,
+        buyTxHash: null,
+        sellTxHash: fill.txHash,
+      });
+    }
+
+    return realized;
+  }
+
+  /**
+   * Realized and unrealized PnL per pair, with totals
+   * @param {string} pairId Only this pair, all pairs when unset
+   * @returns {Object} { pairs, totals }
+   */
+  getSummary(pairId = null) {
+    const pairIds = new Set([
+      ...TraderRegistry.getTraders().map((trader) => trader.pair.id),
+      ...this.state.fills.map((fill) => fill.pair),
+    ]);
+
+    const pairs = Array.from(pairIds)
+      .filter((id) => !pairId || id === pairId)
+      .map((id) => this.getPairSummary(id));
+
+    return {
+      pairs,
+      totals: {
+        realized: pairs.reduce((sum, pnl) => sum + pnl.realized, 0),
+        unrealized: pairs.reduce((sum, pnl) => sum + (pnl.unrealized || 0), 0),
+        fees: pairs.reduce((sum, pnl) => sum + pnl.fees, 0),
+        gas: pairs.reduce((sum, pnl) => sum + pnl.gas, 0),
+      },
+    };
+  }
+
+  /**
+   * PnL of one pair, open lots marked at the pair's DEX price
+   * @param {string} pairId Pair id
+   * @returns {Object} Realized and unrealized PnL, open quantity and costs
+   */
+  getPairSummary(pairId) {
+    const trader = TraderRegistry.getTrader(pairId);
+    const markPrice = trader
+      ? trader.dexPriceMonitor.getCurrentPrice() || null
+      : null;
+    const fills = this.state.fills.filter((fill) => fill.pair === pairId);
+    const closedLots = this.getClosedLots(pairId);
+    const openLots = this.state.openLots[pairId] || [];
+
+    const openQuantity = openLots.reduce((sum, lot) => sum + lot.remaining, 0);
+    const costBasis = openLots.reduce(
+      (sum, lot) => sum + (lot.cost * lot.remaining) / lot.quantity,
+      0
+    );
+
+    // An open quantity can only be marked while the pair's monitor is running
+    let unrealized = null;
+    if (openQuantity === 0) {
+      unrealized = 0;
+    } else if (markPrice) {
+      unrealized = openQuantity * markPrice - costBasis;
+    }
+
+    const realized = closedLots.reduce(
+      (sum, lot) => sum + (lot.realized || 0),
+      0
+    );
+
+    return {
+      pair: pairId,
+      quote: trader ? trader.pair.quote.symbol : null,
+      trades: fills.length,
+      realized,
+      unrealized,
+      total: unrealized === null ? null : realized + unrealized,
+      openQuantity,
+      costBasis,
+      markPrice,
+      fees: fills.reduce((sum, fill) => sum + fill.fee, 0),
+      gas: fills.reduce((sum, fill) => sum + fill.gasUsd, 0),
+    };
+  }
+
+  /**
+   * Closed lots, oldest disposal first
+   * @param {string} pairId Only this pair, all pairs when unset
+   * @returns {Array} Closed lots
+   */
+  getClosedLots(pairId = null) {
+    return this.state.closedLots.filter(
+      (lot) => !pairId || lot.pair === pairId
+    );
+  }
+
+  /**
+   * Per-lot report for tax purposes
+   * @param {Array} lots Closed lots from getClosedLots()
+   * @returns {string} CSV with a header row
+   */
+  toCsv(lots) {
+    const rows = lots.map((lot) =>
+      CSV_COLUMNS.map((column) => csvField(lot[column])).join(",")
+    );
+    return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+  }
+
+  /**
+   * Persist the ledger after every fill
+   */
+  save() {
+    try {
+      writeStateFile(config.pnl.ledgerFile, this.state);
+    } catch (error) {
+      logger.error(`Failed to save PnL ledger: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new PnlLedger();
@@ -5,16 +5,20 @@
 
 const config = require("../../config");
 const logger = require("../../utils/logger");
-const contracts = require("../../utils/contracts");
 
 class PositionManager {
-  constructor() {
-    this.currentPosition = null; // null = no position, 'long' = holding WBTC
+  /**
+   * @param {string} pairId Pair whose position is tracked
+   */
+  constructor(pairId) {
+    this.pairId = pairId;
+    this.currentPosition = null; // null = no position, 'long' = holding the base token
     this.entryPrice = null;
     this.highestPrice = null;
     this.callbacks = {
       onPositionOpened: null,
       onPositionClosed: null,
+      onHighestPriceUpdated: null,
     };
   }
 
@@ -22,7 +26,7 @@ class PositionManager {
    * Initialize the position manager
    */
   initialize() {
-    logger.info("Initializing position manager...");
+    logger.info(`Initializing position manager for ${this.pairId}...`);
     return true;
   }
 
@@ -35,10 +39,13 @@ class PositionManager {
     this.entryPrice = entryPrice;
     this.highestPrice = entryPrice;
 
-    logger.info(`Opened long position at $${entryPrice.toFixed(2)}`);
+    logger.info(
+      `Opened ${this.pairId} long position at $${entryPrice.toFixed(2)}`
+    );
 
     if (this.callbacks.onPositionOpened) {
       this.callbacks.onPositionOpened({
+        pair: this.pairId,
         type: "long",
         entryPrice,
         timestamp: new Date(),
@@ -46,6 +53,23 @@ class PositionManager {
     }
   }
 
+  /**
+   * Resume a position that was open before a restart, without announcing a new one
+   * @param {number} entryPrice Original entry price
+   * @param {number} highestPrice Highest price seen since the entry
+   */
+  restorePosition(entryPrice, highestPrice) {
+    this.currentPosition = "long";
+    this.entryPrice = entryPrice;
+    this.highestPrice = highestPrice;
+
+    logger.info(
+      `Restored ${this.pairId} long position from $${entryPrice.toFixed(
+        2
+      )}, highest $${highestPrice.toFixed(2)}`
+    );
+  }
+
   /**
    * Close current position
    * @param {number} exitPrice Price at which position was closed
@@ -60,11 +84,16 @@ class PositionManager {
     const entryPrice = this.entryPrice;
     const profitPercent = ((exitPrice - entryPrice) / entryPrice) * 100;
 
-    logger.info(`Closed ${positionType} position at $${exitPrice.toFixed(2)}`);
+    logger.info(
+      `Closed ${this.pairId} ${positionType} position at $${exitPrice.toFixed(
+        2
+      )}`
+    );
     logger.info(`Trade completed with ${profitPercent.toFixed(2)}% profit`);
 
     if (this.callbacks.onPositionClosed) {
       this.callbacks.onPositionClosed({
+        pair: this.pairId,
         type: positionType,
         entryPrice,
         exitPrice,
@@ -87,6 +116,10 @@ class PositionManager {
     if (this.currentPosition && currentPrice > this.highestPrice) {
       this.highestPrice = currentPrice;
       logger.debug(`Updated highest price: $${this.highestPrice.toFixed(2)}`);
+
+      if (this.callbacks.onHighestPriceUpdated) {
+        this.callbacks.onHighestPriceUpdated(this.highestPrice);
+      }
     }
   }
 
@@ -135,6 +168,14 @@ class PositionManager {
   onPositionClosed(callback) {
     this.callbacks.onPositionClosed = callback;
   }
+
+  /**
+   * Register a callback for new highs of the open position
+   * @param {Function} callback Function called with the highest price
+   */
+  onHighestPriceUpdated(callback) {
+    this.callbacks.onHighestPriceUpdated = callback;
+  }
 }
 
-module.exports = new PositionManager();
+module.exports = PositionManager;
@@ -0,0 +1,221 @@
+/**
+ * ProfitabilityModel Module
+ * Estimates what a round trip of one pair costs at the size CapitalAllocator
+ * would trade, so buys only fire when the price gap pays for it
+ *
+ * Every refresh quotes the entry (quote -> base) and the exit of what it
+ * buys (base -> quote) on the best venues. What the round trip loses is both
+ * pool fees plus the price impact at entry and exit. Gas for the two swaps
+ * is priced at each side's gas price and the current BNB price. The net
+ * edge of a buy is the Binance/DEX gap minus all of it, as a share of the
+ * trade size, and has to reach config.profitability.minNetEdge. The DEX
+ * price is a quote for selling one base token, so it is net of the exit
+ * pool's fee; the gap is measured on the pool price before that fee, which
+ * the costs already count.
+ */
+
+const { ethers } = require("ethers");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const CapitalAllocator = require("../risk/CapitalAllocator");
+const NetworkMonitor = require("../risk/NetworkMonitor");
+const DexAggregator = require("../dex/DexAggregator");
+const DexAdapter = require("../dex/adapters/DexAdapter");
+const TradeExecutor = require("./TradeExecutor");
+
+/**
+ * Format a fraction as a percentage
+ * @param {number} fraction Fraction, e.g. 0.0025
+ * @returns {string} Percentage, e.g. '0.25%'
+ */
+function percent(fraction) {
+  return `${(fraction * 100).toFixed(2)}%`;
+}
+
+class ProfitabilityModel {
+  /**
+   * @param {Object} deps Per-pair dependencies
+   * @param {Object} deps.pair Resolved pair from PairRegistry
+   */
+  constructor({ pair }) {
+    this.pair = pair;
+    this.estimate = null;
+    this.refreshInterval = null;
+  }
+
+  /**
+   * Estimate the costs once and keep them fresh
+   */
+  async initialize() {
+    logger.info(`Initializing profitability model for ${this.pair.id}...`);
+
+    await this.refresh();
+
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+    }
+    this.refreshInterval = setInterval(async () => {
+      await this.refresh();
+    }, config.profitability.refreshInterval);
+
+    return true;
+  }
+
+  /**
+   * Quote a round trip at the current trade size. Failures keep the last estimate
+   * @returns {Object|null} Cost estimate, null without capital to size a trade
+   */
+  async refresh() {
+    const { base, quote } = this.pair;
+
+    try {
+      const amountIn = await CapitalAllocator.getTradeSize("buy", this.pair);
+      if (amountIn <= 0n) {
+        logger.debug(`No ${quote.symbol} to size a ${this.pair.id} entry`);
+        this.estimate = null;
+        return null;
+      }
+
+      const entry = await DexAggregator.getBestQuote(
+        quote.address,
+        base.address,
+        amountIn
+      );
+      const exit = await DexAggregator.getBestQuote(
+        base.address,
+        quote.address,
+        entry.amountOut
+      );
+
+      const size = parseFloat(ethers.formatUnits(amountIn, quote.decimals));
+      const returned = parseFloat(
+        ethers.formatUnits(exit.amountOut, quote.decimals)
+      );
+
+      this.estimate = this.buildEstimate({
+        size,
+        entryVenue: entry.venue,
+        exitVenue: exit.venue,
+        fees: (entry.feeTier + exit.feeTier) / DexAdapter.FEE_TIER_DENOMINATOR,
+        quoteFee: exit.feeTier / DexAdapter.FEE_TIER_DENOMINATOR,
+        roundTrip: 1 - returned / size,
+        gasUsd: this.estimateGasUsd(),
+      });
+    } catch (error) {
+      logger.warn(
+        `Error estimating ${this.pair.id} trading costs:`,
+        error.message
+      );
+    }
+    return this.estimate;
+  }
+
+  /**
+   * Split a quoted round trip into the costs evaluate() reports
+   * @param {Object} quote Round trip at one trade size
+   * @param {number} quote.size Trade size in the quote token
+   * @param {string} quote.entryVenue Venue of the entry
+   * @param {string} quote.exitVenue Venue of the exit
+   * @param {number} quote.fees Pool fees of both swaps, as a fraction
+   * @param {number} quote.quoteFee Pool fee taken out of the DEX price
+   *   evaluate() is given, as a fraction
+   * @param {number} quote.roundTrip Share of the size lost entering and exiting
+   * @param {number|null} quote.gasUsd Gas of both swaps, null while unknown
+   * @returns {Object} Cost estimate
+   */
+  buildEstimate({
+    size,
+    entryVenue,
+    exitVenue,
+    fees,
+    quoteFee,
+    roundTrip,
+    gasUsd,
+  }) {
+    return {
+      size,
+      entryVenue,
+      exitVenue,
+      fees,
+      quoteFee,
+      priceImpact: roundTrip - fees,
+      gasUsd,
+      gas: gasUsd === null ? null : gasUsd / size,
+      totalCost: gasUsd === null ? null : roundTrip + gasUsd / size,
+      updatedAt: new Date(),
+    };
+  }
+
+  /**
+   * Gas of an entry and an exit in USD
+   * @returns {number|null} Gas cost, null until BNB has a price
+   */
+  estimateGasUsd() {
+    const bnbPrice = NetworkMonitor.getBnbPrice();
+    if (bnbPrice === null) {
+      return null;
+    }
+
+    const gasPrice =
+      TradeExecutor.getGasPrice("buy") + TradeExecutor.getGasPrice("sell");
+    const gasCost = ethers.formatEther(
+      gasPrice * BigInt(config.profitability.swapGas)
+    );
+    return parseFloat(gasCost) * bnbPrice;
+  }
+
+  /**
+   * Net edge of buying now, on the latest cost estimate
+   * @param {number} binancePrice Binance price
+   * @param {number} dexPrice DEX price, net of the pool fee
+   * @returns {Object} { profitable, gap, netEdge, reason }
+   */
+  evaluate(binancePrice, dexPrice) {
+    const estimate = this.estimate;
+    if (!estimate || estimate.totalCost === null) {
+      return {
+        profitable: false,
+        gap: null,
+        netEdge: null,
+        reason: "trading costs not estimated yet",
+      };
+    }
+
+    const poolPrice = dexPrice / (1 - estimate.quoteFee);
+    const gap = (binancePrice - poolPrice) / poolPrice;
+    const netEdge = gap - estimate.totalCost;
+
+    return {
+      profitable: netEdge >= config.profitability.minNetEdge,
+      gap,
+      netEdge,
+      reason: `gap ${percent(gap)} - fees ${percent(
+        estimate.fees
+      )} - impact ${percent(estimate.priceImpact)} - gas ${percent(
+        estimate.gas
+      )} = ${percent(netEdge)} net on ${estimate.size.toFixed(2)} ${
+        this.pair.quote.symbol
+      }, floor ${percent(config.profitability.minNetEdge)}`,
+    };
+  }
+
+  /**
+   * Get the latest cost estimate
+   * @returns {Object|null} Cost estimate
+   */
+  getEstimate() {
+    return this.estimate;
+  }
+
+  /**
+   * Stop refreshing the estimate
+   */
+  shutdown() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+  }
+}
+
+module.exports = ProfitabilityModel;
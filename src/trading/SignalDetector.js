@@ -1,16 +1,47 @@
 /**
  * SignalDetector Module
- * Detects buy and sell signals based on indicators and price differences
+ * Turns the configured strategy's decisions into buy and sell signals.
+ * With a profitability model, buys have to clear its net edge floor instead
+ * of the strategy's raw gap threshold (options.minGap)
  */
 
 const config = require("../../config");
 const logger = require("../../utils/logger");
-const BinanceService = require("../monitoring/BinanceService");
-const DexPriceMonitor = require("../monitoring/DexPriceMonitor");
-const IndicatorCalculator = require("../monitoring/IndicatorCalculator");
+const {
+  loadStrategy,
+  getCandleMode,
+  evaluateStrategy,
+} = require("../strategies");
 
 class SignalDetector {
-  constructor() {
+  /**
+   * @param {Object} deps Per-pair dependencies
+   * @param {string} deps.pairId Pair the signals are for
+   * @param {IndicatorCalculator} deps.indicatorCalculator Indicators of the pair
+   * @param {Object} deps.timeframeIndicators IndicatorCalculators by timeframe, e.g. { '1m': ..., '1h': ... }
+   * @param {BinanceService} deps.binanceService Live Binance prices, optional when prices are passed in
+   * @param {DexPriceMonitor} deps.dexPriceMonitor Live DEX prices, optional when prices are passed in
+   * @param {Object} deps.strategy Strategy module, defaults to the configured one
+   * @param {ProfitabilityModel} deps.profitabilityModel Round-trip costs buys
+   *   have to pay for, optional
+   */
+  constructor({
+    pairId,
+    indicatorCalculator,
+    timeframeIndicators = {},
+    binanceService,
+    dexPriceMonitor,
+    strategy = loadStrategy(),
+    profitabilityModel = null,
+  }) {
+    this.pairId = pairId;
+    this.strategy = strategy;
+    this.candleMode = getCandleMode(strategy);
+    this.indicatorCalculator = indicatorCalculator;
+    this.timeframeIndicators = timeframeIndicators;
+    this.binanceService = binanceService;
+    this.dexPriceMonitor = dexPriceMonitor;
+    this.profitabilityModel = profitabilityModel;
     this.lastSignal = {
       type: null, // 'buy' or 'sell'
       timestamp: null,
@@ -25,126 +56,145 @@ class SignalDetector {
    * Initialize the signal detector
    */
   initialize() {
-    logger.info("Initializing signal detector...");
+    logger.info(`Initializing signal detector for ${this.pairId}...`);
     return true;
   }
 
   /**
-   * Check for buy signal
-   * @param {string} currentPosition Current trading position ('long' or null)
-   * @returns {boolean} True if buy signal is detected
+   * Read the latest prices from the live monitors
+   * @param {Object} candle Binance candle behind this update, if any
+   * @returns {Object} Binance and DEX prices
    */
-  checkBuySignal(currentPosition) {
-    // Only check for buy signal if we're not in a position
-    if (currentPosition !== null) {
-      return false;
-    }
-
-    const binancePrice = BinanceService.getCurrentPrice();
-    const dexPrice = DexPriceMonitor.getCurrentPrice();
-
-    // Buy conditions:
-    // 1. RSI < 30 (oversold)
-    // 2. Binance price crosses above EMA
-    // 3. DEX price lags behind Binance by at least 0.6%
-
-    const rsiOversold = IndicatorCalculator.isRsiOversold();
-    const priceAboveEma = IndicatorCalculator.isPriceAboveEma(binancePrice);
-
-    // Calculate price gap as percentage
-    const priceGapPercent = (binancePrice - dexPrice) / dexPrice;
-    const sufficientGap = priceGapPercent > config.trading.minProfitThreshold;
-
-    logger.debug(
-      `Buy signal check: RSI oversold? ${rsiOversold}, Price > EMA? ${priceAboveEma}, Price gap: ${(
-        priceGapPercent * 100
-      ).toFixed(2)}%`
-    );
-
-    if (rsiOversold && priceAboveEma && sufficientGap) {
-      logger.info("BUY SIGNAL DETECTED!");
-
-      // Update last signal
-      this.lastSignal = {
-        type: "buy",
-        timestamp: new Date(),
-        data: {
-          binancePrice,
-          dexPrice,
-          rsi: IndicatorCalculator.getIndicators().rsi,
-          ema: IndicatorCalculator.getIndicators().ema,
-          priceGap: priceGapPercent,
-        },
-      };
-
-      // Call callback if registered
-      if (this.callbacks.onBuySignal) {
-        this.callbacks.onBuySignal(this.lastSignal);
-      }
+  getMarketSnapshot(candle = null) {
+    return {
+      binancePrice: this.binanceService.getCurrentPrice(),
+      dexPrice: this.dexPriceMonitor.getCurrentPrice(),
+      candle,
+    };
+  }
 
-      return true;
+  /**
+   * Indicators the strategy sees: closed candles only, or with the open
+   * candle included for strategies that use the live bar
+   * @param {Object} candle Binance candle behind this update, if any
+   * @returns {Object} Indicator values
+   */
+  getIndicators(candle) {
+    if (candle && !candle.closed && this.candleMode === "live") {
+      return this.indicatorCalculator.peekIndicators(candle);
     }
-
-    return false;
+    return this.indicatorCalculator.getIndicators();
   }
 
   /**
-   * Check for sell signal
-   * @param {string} currentPosition Current trading position ('long' or null)
-   * @returns {boolean} True if sell signal is detected
+   * Indicators of every timeframe, with each timeframe's open candle
+   * included for strategies that use the live bar
+   * @param {Object} candle Binance candle behind this update, if any
+   * @returns {Object} Indicator values by timeframe
    */
-  checkSellSignal(currentPosition) {
-    // Only check for sell signal if we're in a position
-    if (currentPosition !== "long") {
-      return false;
+  getTimeframeIndicators(candle) {
+    const live = candle && !candle.closed && this.candleMode === "live";
+    const indicators = {};
+
+    for (const [timeframe, calculator] of Object.entries(
+      this.timeframeIndicators
+    )) {
+      const liveCandle = live && this.binanceService.getLiveCandle(timeframe);
+      indicators[timeframe] = liveCandle
+        ? calculator.peekIndicators(liveCandle)
+        : calculator.getIndicators();
     }
+    return indicators;
+  }
 
-    const binancePrice = BinanceService.getCurrentPrice();
-    const dexPrice = DexPriceMonitor.getCurrentPrice();
-
-    // Sell conditions:
-    // 1. RSI > 70 (overbought)
-    // 2. Binance price drops below EMA
-    // 3. DEX price leads Binance by at least 0.6%
-
-    const rsiOverbought = IndicatorCalculator.isRsiOverbought();
-    const priceBelowEma = IndicatorCalculator.isPriceBelowEma(binancePrice);
+  /**
+   * Ask the strategy for a decision and fire the matching signal. Buys only
+   * fire without a position and sells only with one, whatever the strategy says
+   * @param {Object} position Current position from PositionManager.getCurrentPosition()
+   * @param {Object} market Prices (and optionally the candle) to evaluate,
+   *   defaults to the live monitors
+   * @returns {Object} Strategy decision { action, reason }
+   */
+  checkSignals(position, market = this.getMarketSnapshot()) {
+    const indicators = this.getIndicators(market.candle);
+    const snapshot = {
+      pair: this.pairId,
+      binancePrice: market.binancePrice,
+      dexPrice: market.dexPrice,
+      indicators,
+      timeframes: this.getTimeframeIndicators(market.candle),
+      timestamp: market.timestamp || new Date(),
+    };
 
-    // Calculate price gap as percentage (for sell, DEX price should be higher)
-    const priceGapPercent = (dexPrice - binancePrice) / binancePrice;
-    const sufficientGap = priceGapPercent > config.trading.minProfitThreshold;
+    // The net edge decides which gaps are worth entering on, so the raw gap
+    // threshold only applies to exits
+    const options =
+      this.profitabilityModel && position.type === null
+        ? { ...config.strategy.options, minGap: 0 }
+        : config.strategy.options;
+    const decision = evaluateStrategy(
+      this.strategy,
+      snapshot,
+      position,
+      options
+    );
 
     logger.debug(
-      `Sell signal check: RSI overbought? ${rsiOverbought}, Price < EMA? ${priceBelowEma}, Price gap: ${(
-        priceGapPercent * 100
-      ).toFixed(2)}%`
+      `${this.pairId} ${this.strategy.name}: ${decision.action} - ${decision.reason}`
     );
 
-    if (rsiOverbought && priceBelowEma && sufficientGap) {
-      logger.info("SELL SIGNAL DETECTED!");
-
-      // Update last signal
-      this.lastSignal = {
-        type: "sell",
-        timestamp: new Date(),
-        data: {
-          binancePrice,
-          dexPrice,
-          rsi: IndicatorCalculator.getIndicators().rsi,
-          ema: IndicatorCalculator.getIndicators().ema,
-          priceGap: priceGapPercent,
-        },
-      };
-
-      // Call callback if registered
-      if (this.callbacks.onSellSignal) {
-        this.callbacks.onSellSignal(this.lastSignal);
+    const fires =
+      (decision.action === "buy" && position.type === null) ||
+      (decision.action === "sell" && position.type === "long");
+    if (!fires) {
+      return decision;
+    }
+
+    // The gap also has to pay for both swaps' fees, price impact and gas
+    let edge = null;
+    if (decision.action === "buy" && this.profitabilityModel) {
+      edge = this.profitabilityModel.evaluate(
+        market.binancePrice,
+        market.dexPrice
+      );
+      if (!edge.profitable) {
+        logger.debug(`${this.pairId} buy held back: ${edge.reason}`);
+        return { action: "hold", reason: `Buy not profitable: ${edge.reason}` };
       }
+    }
+
+    logger.info(
+      `${this.pairId} ${decision.action.toUpperCase()} SIGNAL DETECTED! ${
+        decision.reason
+      }`
+    );
+
+    // Update last signal
+    this.lastSignal = {
+      type: decision.action,
+      pair: this.pairId,
+      strategy: this.strategy.name,
+      reason: decision.reason,
+      timestamp: snapshot.timestamp,
+      data: {
+        binancePrice: market.binancePrice,
+        dexPrice: market.dexPrice,
+        rsi: indicators.rsi,
+        ema: indicators.ema,
+        netEdge: edge ? edge.netEdge : null,
+      },
+    };
 
-      return true;
+    // Call callback if registered
+    const callback =
+      decision.action === "buy"
+        ? this.callbacks.onBuySignal
+        : this.callbacks.onSellSignal;
+    if (callback) {
+      callback(this.lastSignal);
     }
 
-    return false;
+    return decision;
   }
 
   /**
@@ -172,4 +222,4 @@ class SignalDetector {
   }
 }
 
-module.exports = new SignalDetector();
+module.exports = SignalDetector;
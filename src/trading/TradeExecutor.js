@@ -0,0 +1,702 @@
+/**
+ * TradeExecutor Module
+ * Executes buy and sell trades on the DEX
+ */
+
+const { ethers } = require("ethers");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const contracts = require("../../utils/contract");
+const CapitalAllocator = require("../risk/CapitalAllocator");
+const RiskGuard = require("../risk/RiskGuard");
+const NetworkMonitor = require("../risk/NetworkMonitor");
+const SlippageController = require("../risk/SlippageController");
+const PaperLedger = require("./PaperLedger");
+const TransactionManager = require("./TransactionManager");
+const PairRegistry = require("./PairRegistry");
+const DexAggregator = require("../dex/DexAggregator");
+
+class TradeExecutor {
+  constructor() {
+    this.contracts = contracts;
+    this.transactions = [];
+    // Shared by every pair and read by several consumers, so callbacks are lists
+    this.callbacks = {
+      onTradeExecuted: [],
+      onTradeError: [],
+    };
+  }
+
+  /**
+   * Swap the router, tokens and wallet swaps go through
+   * @param {Object} overrides Replacement router, token contracts, wallet or provider
+   */
+  useContracts(overrides) {
+    this.contracts = { ...this.contracts, ...overrides };
+    // Swaps are sent and followed by TransactionManager with the same wallet
+    TransactionManager.useContracts(overrides);
+  }
+
+  /**
+   * Initialize the trade executor. Needs PairRegistry to be initialized
+   */
+  async initialize() {
+    try {
+      logger.info("Initializing trade executor...");
+
+      if (!["live", "paper"].includes(config.trading.mode)) {
+        throw new Error(`Unknown trading mode: ${config.trading.mode}`);
+      }
+
+      if (config.trading.mode === "paper") {
+        // Paper fills never touch the chain, so no approvals are needed
+        logger.info(
+          "Paper trading mode: swaps are simulated, nothing is signed"
+        );
+        PaperLedger.initialize();
+      } else {
+        // Approve token spending if needed
+        await this.approveTokens();
+      }
+
+      // Congestion changes how entries and exits are sent, see getPolicy()
+      NetworkMonitor.onNetworkCongestion((level) => {
+        const policy = NetworkMonitor.getPolicy();
+        logger.info(
+          `Network ${level}: entries ${policy.entries}, exit gas x${policy.exitGasMultiplier}`
+        );
+      });
+
+      logger.info("Trade executor initialized successfully");
+      return true;
+    } catch (error) {
+      logger.error("Failed to initialize trade executor:", error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Approve the tokens of every active pair on every DEX venue
+   */
+  async approveTokens() {
+    try {
+      logger.info("Approving tokens for DEX trading...");
+
+      for (const adapter of DexAggregator.getAdapters()) {
+        const spender = adapter.getSpender();
+
+        for (const token of PairRegistry.getTokens()) {
+          const tokenContract = this.contracts.getTokenContract(token.address);
+          const allowance = await tokenContract.allowance(
+            this.contracts.wallet.address,
+            spender
+          );
+
+          // Approvals are unlimited, anything below half of that was never granted
+          if (allowance < ethers.MaxUint256 / 2n) {
+            logger.info(
+              `Approving ${token.symbol} for trading on ${adapter.name}...`
+            );
+            const result = await TransactionManager.send(
+              (overrides) =>
+                tokenContract.approve(spender, ethers.MaxUint256, overrides),
+              {
+                label: `${token.symbol} approval on ${adapter.name}`,
+                gasPrice: this.getGasPrice("buy"),
+              }
+            );
+            if (result.status !== "confirmed") {
+              throw new Error(
+                `${token.symbol} approval on ${adapter.name} ${result.status}`
+              );
+            }
+            logger.info(
+              `${token.symbol} approved for trading on ${adapter.name}`
+            );
+          } else {
+            logger.info(
+              `${token.symbol} already approved for trading on ${adapter.name}`
+            );
+          }
+        }
+      }
+
+      return true;
+    } catch (error) {
+      logger.error("Error approving tokens:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Execute a buy order (quote -> base)
+   * @param {Object} pair Resolved pair from PairRegistry
+   * @param {Object} options Execution options
+   * @param {Function} options.onSending Called with the route once the
+   *   pre-trade checks passed, right before the swap is sent
+   * @param {Function} options.onSubmitted Called with (txHash, nonce) once the swap is sent
+   */
+  async executeBuy(pair, { onSending = null, onSubmitted = null } = {}) {
+    const { base, quote } = pair;
+
+    try {
+      logger.info(`Executing ${pair.id} buy order...`);
+
+      // Halted accounts may still exit, but take no new entries
+      if (RiskGuard.isHalted()) {
+        logger.warn(`${pair.id} buy blocked: trading is halted by risk limits`);
+        return false;
+      }
+
+      // Entries can wait out a congested network; the signal fires again later
+      if (NetworkMonitor.getPolicy().entries === "postpone") {
+        logger.warn(
+          `${pair.id} buy postponed: network congestion is ${
+            NetworkMonitor.getCongestion().level
+          }`
+        );
+        return false;
+      }
+
+      const gasPrice = this.getGasPrice("buy");
+      if (this.exceedsMaxGasPrice(gasPrice, pair, "buy")) {
+        return false;
+      }
+
+      // Get available capital for trade
+      const tradeAmount = await CapitalAllocator.getTradeAmount("buy", pair);
+
+      if (tradeAmount <= 0n) {
+        logger.warn(`Insufficient ${quote.symbol} balance for trading`);
+        return false;
+      }
+
+      // Route to the venue paying the most, quote includes price impact
+      const route = await DexAggregator.getBestQuote(
+        quote.address,
+        base.address,
+        tradeAmount
+      );
+      const expectedOut = route.amountOut;
+
+      // Apply slippage tolerance
+      const minAmountOut = SlippageController.applySlippage(expectedOut, "buy");
+
+      // Execute swap
+      logger.info(
+        `Buying ${base.symbol} with ${ethers.formatUnits(
+          tradeAmount,
+          quote.decimals
+        )} ${quote.symbol} on ${route.venue}`
+      );
+      logger.info(
+        `Expecting at least ${ethers.formatUnits(
+          minAmountOut,
+          base.decimals
+        )} ${base.symbol}`
+      );
+
+      if (onSending) {
+        onSending(this.describeRoute(pair, "buy", route));
+      }
+      const execution = await this.swap(
+        route,
+        minAmountOut,
+        gasPrice,
+        "buy",
+        onSubmitted
+      );
+
+      // Record transaction
+      const tradeRecord = this.buildTradeRecord(
+        "buy",
+        pair,
+        route,
+        gasPrice,
+        execution
+      );
+
+      return this.recordTrade(tradeRecord);
+    } catch (error) {
+      logger.error(`Error executing ${pair.id} buy order:`, error.message);
+
+      this.callbacks.onTradeError.forEach((callback) => callback("buy", error));
+
+      throw error;
+    }
+  }
+
+  /**
+   * Execute a sell order of the whole base balance (base -> quote)
+   * @param {Object} pair Resolved pair from PairRegistry
+   * @param {Object} options Execution options
+   * @param {Function} options.onSending Called with the route once the
+   *   pre-trade checks passed, right before the swap is sent
+   * @param {Function} options.onSubmitted Called with (txHash, nonce) once the swap is sent
+   */
+  async executeSell(pair, { onSending = null, onSubmitted = null } = {}) {
+    const { base, quote } = pair;
+
+    try {
+      logger.info(`Executing ${pair.id} sell order...`);
+
+      // Exits are never refused over gas, getGasPrice caps them instead
+      const gasPrice = this.getGasPrice("sell");
+
+      // Get available base balance
+      const baseBalance = await CapitalAllocator.getBalance(base.address);
+
+      if (baseBalance <= 0n) {
+        logger.warn(`No ${base.symbol} balance to sell`);
+        return false;
+      }
+
+      // Route to the venue paying the most, quote includes price impact
+      const route = await DexAggregator.getBestQuote(
+        base.address,
+        quote.address,
+        baseBalance
+      );
+      const expectedOut = route.amountOut;
+
+      // Apply slippage tolerance
+      const minAmountOut = SlippageController.applySlippage(
+        expectedOut,
+        "sell"
+      );
+
+      // Execute swap
+      logger.info(
+        `Selling ${ethers.formatUnits(baseBalance, base.decimals)} ${
+          base.symbol
+        } on ${route.venue}`
+      );
+      logger.info(
+        `Expecting at least ${ethers.formatUnits(
+          minAmountOut,
+          quote.decimals
+        )} ${quote.symbol}`
+      );
+
+      if (onSending) {
+        onSending(this.describeRoute(pair, "sell", route));
+      }
+      const execution = await this.swap(
+        route,
+        minAmountOut,
+        gasPrice,
+        "sell",
+        onSubmitted
+      );
+
+      // Record transaction
+      const tradeRecord = this.buildTradeRecord(
+        "sell",
+        pair,
+        route,
+        gasPrice,
+        execution
+      );
+
+      return this.recordTrade(tradeRecord);
+    } catch (error) {
+      logger.error(`Error executing ${pair.id} sell order:`, error.message);
+
+      this.callbacks.onTradeError.forEach((callback) =>
+        callback("sell", error)
+      );
+
+      throw error;
+    }
+  }
+
+  /**
+   * Send a swap to the quoted venue, or fill it on the paper ledger in paper mode
+   * @param {Object} route Best quote from DexAggregator
+   * @param {bigint} minAmountOut Minimum output after slippage
+   * @param {bigint} gasPrice Gas price in wei
+   * @param {string} side 'buy' or 'sell', picks what happens if the swap gets stuck
+   * @param {Function} onSubmitted Called with (txHash, nonce) for every transaction sent
+   * @returns {Object} Transaction hash, block number, the amounts in and out
+   *   that filled, where they were read from, and the gas paid
+   */
+  async swap(route, minAmountOut, gasPrice, side, onSubmitted = null) {
+    if (config.trading.mode === "paper") {
+      const fill = PaperLedger.simulateSwap(
+        [route.tokenIn, route.tokenOut],
+        route.amountIn,
+        route.amountOut
+      );
+      logger.info(`Paper swap filled: ${fill.txHash}`);
+      if (onSubmitted) {
+        onSubmitted(fill.txHash, null);
+      }
+      // Paper fills are the quote and pay no gas
+      return {
+        ...fill,
+        amountIn: route.amountIn,
+        amountOut: route.amountOut,
+        fillSource: "paper",
+        gasPrice: null,
+        gasUsed: null,
+        gasCost: null,
+      };
+    }
+
+    const deadline = Math.floor(Date.now() / 1000) + 300; // 5 minutes
+    const adapter = DexAggregator.getAdapter(route.venue);
+    const recipient = this.contracts.wallet.address;
+
+    const gasLimit = await this.getGasLimit(
+      adapter,
+      route,
+      minAmountOut,
+      recipient,
+      deadline
+    );
+
+    // Speed-ups re-send the same swap with new overrides on the same nonce
+    const result = await TransactionManager.send(
+      (overrides) =>
+        adapter.swap(route, minAmountOut, recipient, deadline, overrides),
+      {
+        label: `${side} swap on ${route.venue}`,
+        gasPrice,
+        gasLimit,
+        onTimeout: config.transactions.onTimeout[side],
+        onSubmitted,
+      }
+    );
+
+    if (result.status !== "confirmed") {
+      throw new Error(
+        `Swap on ${route.venue} ${result.status} (nonce ${result.nonce})`
+      );
+    }
+
+    const { receipt } = result;
+    const paidGasPrice = receipt.gasPrice || gasPrice;
+
+    // The swap went through, so failing now would lose track of it; the quote
+    // is the best estimate left
+    const fill = adapter.parseFill(receipt, route, recipient);
+    if (!fill) {
+      logger.warn(
+        `No fill found in the logs of ${result.txHash}, recording the quoted amounts`
+      );
+    }
+
+    return {
+      txHash: result.txHash,
+      blockNumber: receipt.blockNumber,
+      amountIn: fill ? fill.amountIn : route.amountIn,
+      amountOut: fill ? fill.amountOut : route.amountOut,
+      fillSource: fill ? fill.source : "quote",
+      gasPrice: paidGasPrice,
+      gasUsed: receipt.gasUsed.toString(),
+      gasCost: ethers.formatEther(receipt.gasUsed * paidGasPrice),
+    };
+  }
+
+  /**
+   * Build the record of a filled swap from the amounts it actually moved.
+   * Prices are in quote per base; slippage is how much worse the filled rate
+   * was than the quoted one, as a fraction
+   * @param {string} side 'buy' or 'sell'
+   * @param {Object} pair Resolved pair from PairRegistry
+   * @param {Object} route Quote the swap was sent for
+   * @param {bigint} gasPrice Gas price the swap was first sent with, in wei
+   * @param {Object} execution Result of swap()
+   * @returns {Object} Trade record
+   */
+  buildTradeRecord(side, pair, route, gasPrice, execution) {
+    const [tokenIn, tokenOut] =
+      side === "buy" ? [pair.quote, pair.base] : [pair.base, pair.quote];
+    const toNumber = (amount, token) =>
+      parseFloat(ethers.formatUnits(amount, token.decimals));
+
+    const amountIn = toNumber(execution.amountIn, tokenIn);
+    const amountOut = toNumber(execution.amountOut, tokenOut);
+    const quotedIn = toNumber(route.amountIn, tokenIn);
+    const quotedOut = toNumber(route.amountOut, tokenOut);
+
+    const executionPrice =
+      side === "buy" ? amountIn / amountOut : amountOut / amountIn;
+    const quotedPrice =
+      side === "buy" ? quotedIn / quotedOut : quotedOut / quotedIn;
+    const slippage = 1 - amountOut / amountIn / (quotedOut / quotedIn);
+
+    logger.info(
+      `${pair.id} ${side} filled at $${executionPrice.toFixed(
+        2
+      )} (quoted $${quotedPrice.toFixed(2)}, slippage ${(
+        slippage * 100
+      ).toFixed(2)}%)`
+    );
+
+    return {
+      type: side,
+      pair: pair.id,
+      venue: route.venue,
+      feeTier: route.feeTier,
+      txHash: execution.txHash,
+      amountIn: ethers.formatUnits(execution.amountIn, tokenIn.decimals),
+      amountOut: ethers.formatUnits(execution.amountOut, tokenOut.decimals),
+      quotedAmountOut: ethers.formatUnits(route.amountOut, tokenOut.decimals),
+      executionPrice,
+      quotedPrice,
+      slippage,
+      fillSource: execution.fillSource,
+      gasPrice: ethers.formatUnits(execution.gasPrice || gasPrice, "gwei"),
+      gasUsed: execution.gasUsed,
+      gasCost: execution.gasCost,
+      timestamp: new Date(),
+      blockNumber: execution.blockNumber,
+    };
+  }
+
+  /**
+   * Route of a swap about to be sent, in a form that can be journaled
+   * @param {Object} pair Resolved pair from PairRegistry
+   * @param {string} side 'buy' or 'sell'
+   * @param {Object} route Best quote from DexAggregator
+   * @returns {Object} Venue, fee tier and the quoted amounts in token units
+   */
+  describeRoute(pair, side, route) {
+    const [tokenIn, tokenOut] =
+      side === "buy" ? [pair.quote, pair.base] : [pair.base, pair.quote];
+    return {
+      venue: route.venue,
+      feeTier: route.feeTier,
+      amountIn: ethers.formatUnits(route.amountIn, tokenIn.decimals),
+      amountOut: ethers.formatUnits(route.amountOut, tokenOut.decimals),
+    };
+  }
+
+  /**
+   * Add a trade to the history and notify the trade listeners
+   * @param {Object} tradeRecord Trade record
+   * @returns {Object} The trade record
+   */
+  recordTrade(tradeRecord) {
+    this.transactions.push(tradeRecord);
+
+    // Notify callbacks
+    this.callbacks.onTradeExecuted.forEach((callback) => callback(tradeRecord));
+
+    return tradeRecord;
+  }
+
+  /**
+   * Build the trade record of a fill the trade journal recovered, for the
+   * journal to confirm at its execution price before recordTrade() reports
+   * it like any other. Amounts come from the receipt's Transfer logs when
+   * there is one, the journaled quote otherwise
+   * @param {Object} intent Submitted intent being recovered
+   * @param {Object|null} receipt Its receipt, null for paper fills
+   * @returns {Object|null} Trade record, null if the intent has no route
+   */
+  readRecoveredFill(intent, receipt) {
+    const pair = PairRegistry.getPair(intent.pair);
+    if (!pair || !intent.route) {
+      logger.warn(
+        `Recovered ${intent.pair} ${intent.side} has no journaled route, left out of the trade history`
+      );
+      return null;
+    }
+
+    const [tokenIn, tokenOut] =
+      intent.side === "buy" ? [pair.quote, pair.base] : [pair.base, pair.quote];
+    const route = {
+      venue: intent.route.venue,
+      tokenIn: tokenIn.address,
+      tokenOut: tokenOut.address,
+      feeTier: intent.route.feeTier,
+      amountIn: ethers.parseUnits(intent.route.amountIn, tokenIn.decimals),
+      amountOut: ethers.parseUnits(intent.route.amountOut, tokenOut.decimals),
+    };
+
+    let execution = {
+      txHash: intent.txHash || intent.txHashes[intent.txHashes.length - 1],
+      blockNumber: null,
+      amountIn: route.amountIn,
+      amountOut: route.amountOut,
+      fillSource: receipt ? "quote" : "paper",
+      gasPrice: null,
+      gasUsed: null,
+      gasCost: null,
+    };
+
+    if (receipt) {
+      let fill = null;
+      try {
+        fill = DexAggregator.getAdapter(route.venue).parseFill(
+          receipt,
+          route,
+          this.contracts.wallet.address
+        );
+      } catch (error) {
+        logger.warn(
+          `Could not read the fill of ${receipt.hash}: ${error.message}`
+        );
+      }
+      execution = {
+        ...execution,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        amountIn: fill ? fill.amountIn : route.amountIn,
+        amountOut: fill ? fill.amountOut : route.amountOut,
+        fillSource: fill ? fill.source : "quote",
+        gasPrice: receipt.gasPrice,
+        gasUsed: receipt.gasUsed.toString(),
+        gasCost: ethers.formatEther(receipt.gasUsed * receipt.gasPrice),
+      };
+    }
+
+    const tradeRecord = this.buildTradeRecord(
+      intent.side,
+      pair,
+      route,
+      this.getGasPrice(intent.side),
+      execution
+    );
+    // Dated when it was sent, which is when the lot was acquired or disposed of
+    return {
+      ...tradeRecord,
+      timestamp: new Date(intent.createdAt),
+      recovered: true,
+    };
+  }
+
+  /**
+   * Record the position change of a reconciliation that adopted the wallet's
+   * state. Nothing was swapped, so it pays no fee or gas
+   * @param {Object} pair Resolved pair from PairRegistry
+   * @param {string} side 'buy' for an adopted holding, 'sell' for a dropped position
+   * @param {number} quantity Base quantity
+   * @param {number} price DEX price the position changed at
+   * @returns {Object} Trade record
+   */
+  recordAdoptedFill(pair, side, quantity, price) {
+    const quoteAmount = String(quantity * price);
+    return this.recordTrade({
+      type: side,
+      pair: pair.id,
+      venue: null,
+      feeTier: 0,
+      txHash: null,
+      amountIn: side === "buy" ? quoteAmount : String(quantity),
+      amountOut: side === "buy" ? String(quantity) : quoteAmount,
+      quotedAmountOut: null,
+      executionPrice: price,
+      quotedPrice: price,
+      slippage: 0,
+      fillSource: "reconciliation",
+      gasPrice: null,
+      gasUsed: null,
+      gasCost: null,
+      timestamp: new Date(),
+      blockNumber: null,
+    });
+  }
+
+  /**
+   * Gas price for a side, from the network price and the side's strategy.
+   * Exits also pay the congestion policy's multiplier, capped at
+   * config.gas.maxGasPrice so a position can always be closed
+   * @param {string} side 'buy' or 'sell'
+   * @returns {bigint} Gas price in wei
+   */
+  getGasPrice(side) {
+    let multiplier = config.gas.multipliers[config.gas.strategies[side]];
+    if (side === "sell") {
+      multiplier *= NetworkMonitor.getPolicy().exitGasMultiplier;
+    }
+
+    let gasPrice =
+      (NetworkMonitor.getGasPrice() * BigInt(Math.round(multiplier * 100))) /
+      100n;
+    if (gasPrice < config.bsc.gasPrice) {
+      gasPrice = config.bsc.gasPrice;
+    }
+    if (side === "sell" && gasPrice > config.gas.maxGasPrice) {
+      gasPrice = config.gas.maxGasPrice;
+    }
+    return gasPrice;
+  }
+
+  /**
+   * Check a gas price against config.gas.maxGasPrice and log refusals
+   * @param {bigint} gasPrice Gas price in wei
+   * @param {Object} pair Resolved pair from PairRegistry
+   * @param {string} side 'buy' or 'sell'
+   * @returns {Boolean} True if the trade should not be sent
+   */
+  exceedsMaxGasPrice(gasPrice, pair, side) {
+    if (gasPrice <= config.gas.maxGasPrice) {
+      return false;
+    }
+
+    logger.warn(
+      `${pair.id} ${side} refused: gas price ${ethers.formatUnits(
+        gasPrice,
+        "gwei"
+      )} gwei is above the ${ethers.formatUnits(
+        config.gas.maxGasPrice,
+        "gwei"
+      )} gwei limit`
+    );
+    return true;
+  }
+
+  /**
+   * Gas limit for a swap: the venue's estimate plus config.gas.limitMargin.
+   * A swap that would revert fails estimation, so it is never sent
+   * @param {DexAdapter} adapter Venue adapter
+   * @param {Object} route Best quote from DexAggregator
+   * @param {bigint} minAmountOut Minimum output after slippage
+   * @param {string} recipient Receiver of the output tokens
+   * @param {number} deadline Unix timestamp after which the swap reverts
+   * @returns {bigint} Gas limit
+   */
+  async getGasLimit(adapter, route, minAmountOut, recipient, deadline) {
+    const estimate = await adapter.estimateSwapGas(
+      route,
+      minAmountOut,
+      recipient,
+      deadline
+    );
+    if (estimate === null) {
+      return BigInt(config.bsc.gasLimit);
+    }
+
+    const margin = BigInt(Math.round(config.gas.limitMargin * 100));
+    return (estimate * (100n + margin)) / 100n;
+  }
+
+  /**
+   * Register a callback for trade execution
+   * @param {Function} callback Function to call when trade is executed
+   */
+  onTradeExecuted(callback) {
+    this.callbacks.onTradeExecuted.push(callback);
+  }
+
+  /**
+   * Register a callback for trade errors
+   * @param {Function} callback Function to call when trade error occurs
+   */
+  onTradeError(callback) {
+    this.callbacks.onTradeError.push(callback);
+  }
+
+  /**
+   * Get transaction history
+   * @returns {Array} Array of transaction records
+   */
+  getTransactionHistory() {
+    return this.transactions;
+  }
+}
+
+module.exports = new TradeExecutor();
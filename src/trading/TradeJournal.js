@@ -0,0 +1,457 @@
+/**
+ * TradeJournal Module
+ * Write-ahead journal of trade intents, so a restart knows about swaps that
+ * were sent but never reflected in the position
+ *
+ * Every intent moves created -> submitted (with its tx hashes) -> confirmed
+ * or failed, and each transition is appended and fsynced to
+ * config.journal.file as one JSON line before the bot acts on it. New highs
+ * of an open position are journaled too, for the trailing stop. The last
+ * line of an intent wins on replay.
+ *
+ * On startup recover() resolves intents left created or submitted against
+ * the chain, then rebuilds each pair's open position (entry and highest
+ * price) from the confirmed buys and sells. A swap still pending after
+ * config.journal.recoveryTimeout stays submitted, and the pair's
+ * ExecutionCoordinator holds off trading until it resolves.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const contracts = require("../../utils/contract");
+
+/**
+ * Resolve after a delay
+ * @param {number} ms Delay in milliseconds
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class TradeJournal {
+  constructor() {
+    this.contracts = contracts;
+    this.fd = null;
+    this.intents = new Map(); // intent id -> latest intent
+    this.highestPrices = {}; // pair id -> highest price since the open buy
+  }
+
+  /**
+   * Swap the provider or wallet used to check pending hashes
+   * @param {Object} overrides Replacement provider or wallet
+   */
+  useContracts(overrides) {
+    this.contracts = { ...this.contracts, ...overrides };
+  }
+
+  /**
+   * Replay the journal file and open it for appending
+   */
+  initialize() {
+    const journalFile = config.journal.file;
+    this.intents.clear();
+    this.highestPrices = {};
+
+    if (fs.existsSync(journalFile)) {
+      const lines = fs.readFileSync(journalFile, "utf8").split("\n");
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          this.apply(JSON.parse(line));
+        } catch (error) {
+          // Only the last line can be torn by a crash mid-write
+          logger.warn(`Skipping unreadable trade journal line: ${line}`);
+        }
+      }
+      logger.info(
+        `Trade journal replayed from ${journalFile}: ${this.intents.size} intent(s)`
+      );
+    }
+
+    fs.mkdirSync(path.dirname(journalFile), { recursive: true });
+    this.shutdown();
+    this.fd = fs.openSync(journalFile, "a");
+  }
+
+  /**
+   * Apply one journal entry to the in-memory state
+   * @param {Object} entry Intent or highest-price entry
+   */
+  apply(entry) {
+    if (entry.kind === "highest") {
+      this.highestPrices[entry.pair] = entry.price;
+    } else {
+      this.intents.set(entry.id, entry);
+      if (entry.side === "buy" && entry.status === "confirmed") {
+        this.highestPrices[entry.pair] = entry.price;
+      }
+    }
+  }
+
+  /**
+   * Append an entry and flush it to disk before returning
+   * @param {Object} entry Entry to write
+   */
+  append(entry) {
+    this.apply(entry);
+    if (this.fd === null) {
+      return;
+    }
+    fs.writeSync(this.fd, `${JSON.stringify(entry)}\n`);
+    fs.fsyncSync(this.fd);
+  }
+
+  /**
+   * Record a trade about to be sent
+   * @param {string} pairId Pair id
+   * @param {string} side 'buy' or 'sell'
+   * @param {number} price DEX price when the trade was decided
+   * @param {Object} route Venue, fee tier and quoted amounts, if known
+   * @returns {Object} New intent
+   */
+  createIntent(pairId, side, price, route = null) {
+    const intent = {
+      kind: "intent",
+      id: crypto.randomUUID(),
+      pair: pairId,
+      side,
+      status: "created",
+      price,
+      route,
+      txHashes: [],
+      nonce: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    this.append(intent);
+    return intent;
+  }
+
+  /**
+   * Record a transaction sent for an intent, including speed-ups and cancels
+   * @param {Object} intent Intent from createIntent
+   * @param {string} txHash Transaction hash
+   * @param {number|null} nonce Nonce, null for paper fills
+   * @returns {Object} Updated intent
+   */
+  markSubmitted(intent, txHash, nonce) {
+    return this.update(intent, {
+      status: "submitted",
+      txHashes: [...this.intents.get(intent.id).txHashes, txHash],
+      nonce,
+    });
+  }
+
+  /**
+   * Record a filled intent
+   * @param {Object} intent Intent from createIntent
+   * @param {number} price DEX price at the fill, the position's entry or exit price
+   * @param {Object} trade Trade record, if any
+   * @returns {Object} Updated intent
+   */
+  markConfirmed(intent, price, trade = null) {
+    return this.update(intent, {
+      status: "confirmed",
+      price,
+      txHash: trade ? trade.txHash : null,
+    });
+  }
+
+  /**
+   * Record an intent that filled nothing
+   * @param {Object} intent Intent from createIntent
+   * @param {string} reason Why it failed
+   * @returns {Object} Updated intent
+   */
+  markFailed(intent, reason) {
+    return this.update(intent, { status: "failed", reason });
+  }
+
+  /**
+   * Append a new version of an intent
+   * @param {Object} intent Intent to update
+   * @param {Object} changes Changed fields
+   * @returns {Object} Updated intent
+   */
+  update(intent, changes) {
+    const updated = {
+      ...this.intents.get(intent.id),
+      ...changes,
+      updatedAt: new Date(),
+    };
+    this.append(updated);
+    return updated;
+  }
+
+  /**
+   * Record a new high of an open position
+   * @param {string} pairId Pair id
+   * @param {number} price Highest price
+   */
+  recordHighestPrice(pairId, price) {
+    this.append({
+      kind: "highest",
+      pair: pairId,
+      price,
+      timestamp: new Date(),
+    });
+  }
+
+  /**
+   * Resolve intents a previous run left open, then compact the journal.
+   * Needs the journal to be initialized
+   * @param {Function} readFill Called with (intent, receipt) for each fill,
+   *   returns its trade record; the intent is confirmed at its execution price
+   * @returns {Array} { intent, receipt, trade } of every intent recovered as
+   *   filled, receipt null for paper fills
+   */
+  async recover(readFill = null) {
+    const unresolved = Array.from(this.intents.values()).filter((intent) =>
+      ["created", "submitted"].includes(intent.status)
+    );
+
+    const recovered = [];
+    for (const intent of unresolved) {
+      if (intent.status === "created") {
+        // No hash was journaled, so there is nothing to look up; a swap that
+        // reached the node anyway shows up as a balance mismatch
+        logger.warn(
+          `${intent.pair} ${intent.side} intent ${intent.id} was never journaled as submitted`
+        );
+        this.markFailed(intent, "Never submitted");
+      } else if (config.trading.mode === "paper") {
+        // Paper fills are saved as they are submitted
+        recovered.push(this.confirmFill(intent, null, readFill));
+      } else {
+        const fill = await this.resolveSubmitted(
+          intent,
+          config.journal.recoveryTimeout,
+          readFill
+        );
+        if (fill) {
+          recovered.push(fill);
+        }
+      }
+    }
+
+    this.compact();
+    return recovered;
+  }
+
+  /**
+   * Wait for any of a submitted intent's hashes to be mined
+   * @param {Object} intent Submitted intent
+   * @param {number} timeout How long to wait in ms
+   * @param {Function} readFill Reads the trade record of a fill, see recover()
+   * @returns {Object|null} { intent, receipt, trade } if it filled; null if it
+   *   did not, or if it is still pending at the timeout and stays submitted
+   */
+  async resolveSubmitted(
+    intent,
+    timeout = config.journal.recoveryTimeout,
+    readFill = null
+  ) {
+    const { wallet } = this.contracts;
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+      try {
+        let receipt = await this.findReceipt(intent);
+
+        if (
+          !receipt &&
+          intent.nonce !== null &&
+          (await wallet.getNonce("latest")) > intent.nonce
+        ) {
+          // Ours may have been mined between the two reads
+          receipt = await this.findReceipt(intent);
+          if (!receipt) {
+            logger.warn(
+              `${intent.pair} ${intent.side} nonce ${intent.nonce} was used by another transaction`
+            );
+            this.markFailed(intent, "Nonce used by another transaction");
+            return null;
+          }
+        }
+
+        if (receipt) {
+          return this.settleMined(intent, receipt, readFill);
+        }
+      } catch (error) {
+        logger.warn(
+          `Error checking ${intent.pair} ${intent.side} ${intent.id}: ${error.message}`
+        );
+      }
+
+      if (Date.now() >= deadline) {
+        logger.error(
+          `${intent.pair} ${intent.side} ${intent.txHashes.join(
+            ", "
+          )} still pending after recovery timeout, ${
+            intent.pair
+          } trades wait until it resolves`
+        );
+        return null;
+      }
+
+      await delay(config.transactions.pollInterval);
+    }
+  }
+
+  /**
+   * Receipt of whichever of an intent's hashes was mined
+   * @param {Object} intent Submitted intent
+   * @returns {Object|null} Receipt or null while none is mined
+   */
+  async findReceipt(intent) {
+    for (const hash of intent.txHashes) {
+      const receipt = await this.contracts.provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Confirm or fail an intent from the receipt of its mined transaction
+   * @param {Object} intent Submitted intent
+   * @param {Object} receipt Receipt of one of its hashes
+   * @param {Function} readFill Reads the trade record of a fill, see recover()
+   * @returns {Object|null} { intent, receipt, trade } if it filled
+   */
+  settleMined(intent, receipt, readFill) {
+    // Cancels are zero-value transfers to ourselves
+    const filled =
+      receipt.status === 1 && receipt.to !== this.contracts.wallet.address;
+    if (!filled) {
+      this.markFailed(intent, `Mined without a fill: ${receipt.hash}`);
+      return null;
+    }
+
+    logger.warn(
+      `Recovered ${intent.pair} ${intent.side} mined in ${receipt.hash}`
+    );
+    return this.confirmFill(intent, receipt, readFill);
+  }
+
+  /**
+   * Confirm a recovered fill at the price its trade record executed at,
+   * the decision price only when no record could be read
+   * @param {Object} intent Intent being recovered
+   * @param {Object|null} receipt Its receipt, null for paper fills
+   * @param {Function} readFill Reads the trade record of a fill, see recover()
+   * @returns {Object} { intent, receipt, trade }
+   */
+  confirmFill(intent, receipt, readFill) {
+    const trade = readFill ? readFill(intent, receipt) : null;
+    const confirmed = this.markConfirmed(
+      intent,
+      trade ? trade.executionPrice : intent.price,
+      trade || (receipt && { txHash: receipt.hash })
+    );
+    return { intent: confirmed, receipt, trade };
+  }
+
+  /**
+   * Intent of a pair whose swap recover() left pending
+   * @param {string} pairId Pair id
+   * @returns {Object|null} Submitted intent or null
+   */
+  getPendingIntent(pairId) {
+    for (const intent of this.intents.values()) {
+      if (intent.pair === pairId && intent.status === "submitted") {
+        return intent;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Open position of a pair, from its confirmed intents
+   * @param {string} pairId Pair id
+   * @returns {Object|null} { entryPrice, highestPrice } or null when flat
+   */
+  getOpenPosition(pairId) {
+    let open = null;
+    for (const intent of this.intents.values()) {
+      if (intent.pair !== pairId || intent.status !== "confirmed") continue;
+      open = intent.side === "buy" ? intent : null;
+    }
+
+    if (!open) {
+      return null;
+    }
+    return {
+      entryPrice: open.price,
+      highestPrice: Math.max(open.price, this.highestPrices[pairId] || 0),
+    };
+  }
+
+  /**
+   * Rewrite the journal with only what the open positions need
+   */
+  compact() {
+    const pairs = new Set(
+      Array.from(this.intents.values()).map((intent) => intent.pair)
+    );
+    const entries = [];
+    for (const pairId of pairs) {
+      const position = this.getOpenPosition(pairId);
+      if (!position) continue;
+
+      const buys = Array.from(this.intents.values()).filter(
+        (intent) =>
+          intent.pair === pairId &&
+          intent.side === "buy" &&
+          intent.status === "confirmed"
+      );
+      entries.push(buys[buys.length - 1]);
+      entries.push({
+        kind: "highest",
+        pair: pairId,
+        price: position.highestPrice,
+        timestamp: new Date(),
+      });
+    }
+
+    // Swaps still pending on chain are kept until they resolve
+    for (const intent of this.intents.values()) {
+      if (intent.status === "submitted") {
+        entries.push(intent);
+      }
+    }
+
+    // Write aside and rename, so a crash leaves either journal whole
+    const journalFile = config.journal.file;
+    const compactFile = `${journalFile}.compact`;
+    fs.writeFileSync(
+      compactFile,
+      entries.map((entry) => `${JSON.stringify(entry)}\n`).join("")
+    );
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+    }
+    fs.renameSync(compactFile, journalFile);
+    this.fd = fs.openSync(journalFile, "a");
+
+    this.intents.clear();
+    this.highestPrices = {};
+    entries.forEach((entry) => this.apply(entry));
+  }
+
+  /**
+   * Close the journal file
+   */
+  shutdown() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = new TradeJournal();
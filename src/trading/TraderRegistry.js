@@ -0,0 +1,57 @@
+/**
+ * TraderRegistry Module
+ * Keeps the running PairTrader instances so the API can read their state,
+ * and fans their signal and position events out to listeners
+ */
+
+class TraderRegistry {
+  constructor() {
+    this.traders = new Map(); // pair id -> PairTrader
+    this.eventCallbacks = [];
+  }
+
+  /**
+   * Register a running pair trader
+   * @param {PairTrader} trader Trader to register
+   */
+  register(trader) {
+    this.traders.set(trader.pair.id, trader);
+    trader.onEvent((topic, data) =>
+      this.eventCallbacks.forEach((callback) => callback(topic, data))
+    );
+  }
+
+  /**
+   * Get the trader of a pair
+   * @param {string} pairId Pair id
+   * @returns {PairTrader|undefined} Trader
+   */
+  getTrader(pairId) {
+    return this.traders.get(pairId);
+  }
+
+  /**
+   * Get all running traders
+   * @returns {Array} PairTrader instances
+   */
+  getTraders() {
+    return Array.from(this.traders.values());
+  }
+
+  /**
+   * Register a callback for signal and position events of every trader
+   * @param {Function} callback Function called with (topic, data)
+   */
+  onEvent(callback) {
+    this.eventCallbacks.push(callback);
+  }
+
+  /**
+   * Forget all traders, e.g. after shutdown
+   */
+  clear() {
+    this.traders.clear();
+  }
+}
+
+module.exports = new TraderRegistry();
@@ -0,0 +1,312 @@
+/**
+ * TransactionManager Module
+ * Follows sent transactions by nonce until they are mined, and replaces the
+ * ones that stay pending for config.transactions.timeoutBlocks blocks
+ *
+ * A stuck transaction is either sped up (re-sent on the same nonce with more
+ * gas) or cancelled (a zero-value transfer to ourselves on the same nonce),
+ * as its onTimeout option says. Speed-ups keep the last replacement for a
+ * cancel; after config.transactions.maxReplacements the transaction is
+ * reported as stuck instead of being waited on forever.
+ */
+
+const { ethers } = require("ethers");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const contracts = require("../../utils/contract");
+const NonceManager = require("./NonceManager");
+
+const CANCEL_GAS_LIMIT = 21000n;
+
+/**
+ * Resolve after a delay
+ * @param {number} ms Delay in milliseconds
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class TransactionManager {
+  constructor() {
+    this.contracts = contracts;
+    this.pending = new Map(); // nonce -> tracked transaction
+  }
+
+  /**
+   * Swap the provider or wallet this module sends with
+   * @param {Object} overrides Replacement provider or wallet
+   */
+  useContracts(overrides) {
+    this.contracts = { ...this.contracts, ...overrides };
+  }
+
+  /**
+   * Send a transaction and wait for its final status
+   * @param {Function} sendTransaction Called with { nonce, gasPrice, gasLimit } overrides,
+   *   returns a transaction response; called again for each speed-up
+   * @param {Object} options Send options
+   * @param {string} options.label Name used in logs, e.g. 'WBTC-USDT sell'
+   * @param {bigint} options.gasPrice Gas price in wei
+   * @param {bigint} options.gasLimit Gas limit, estimated by the node when unset
+   * @param {string} options.onTimeout 'speed-up' or 'cancel'
+   * @param {Function} options.onSubmitted Called with (txHash, nonce) for the
+   *   transaction and every replacement, e.g. to journal the hashes
+   * @returns {Object} { status, nonce, txHash, receipt, hashes, replacements };
+   *   status is 'confirmed', 'reverted', 'cancelled', 'dropped' or 'stuck'
+   */
+  async send(
+    sendTransaction,
+    { label, gasPrice, gasLimit, onTimeout = "speed-up", onSubmitted = null }
+  ) {
+    const { provider, wallet } = this.contracts;
+    // Read before sending so a failed read cannot leave a sent tx untracked
+    const sentAtBlock = await provider.getBlockNumber();
+    const tx = await NonceManager.send(wallet, (nonce) =>
+      sendTransaction(this.buildOverrides(nonce, gasPrice, gasLimit))
+    );
+    const nonce = tx.nonce;
+    logger.info(`${label} sent: ${tx.hash} (nonce ${nonce})`);
+    if (onSubmitted) {
+      onSubmitted(tx.hash, nonce);
+    }
+
+    const record = {
+      label,
+      nonce,
+      sendTransaction,
+      gasPrice,
+      gasLimit,
+      onTimeout,
+      onSubmitted,
+      hashes: [tx.hash],
+      cancelHashes: [],
+      replacements: 0,
+      sentAtBlock,
+    };
+    this.pending.set(nonce, record);
+
+    try {
+      return await this.waitForFinalStatus(record);
+    } finally {
+      this.pending.delete(nonce);
+    }
+  }
+
+  /**
+   * Transaction overrides, leaving out what the node should fill in
+   * @param {number} nonce Nonce
+   * @param {bigint} gasPrice Gas price in wei
+   * @param {bigint} gasLimit Gas limit, optional
+   * @returns {Object} Overrides
+   */
+  buildOverrides(nonce, gasPrice, gasLimit) {
+    const overrides = { nonce, gasPrice };
+    if (gasLimit) {
+      overrides.gasLimit = gasLimit;
+    }
+    return overrides;
+  }
+
+  /**
+   * Poll until one of the nonce's transactions is mined, replacing it on timeouts
+   * @param {Object} record Tracked transaction
+   * @returns {Object} Final status
+   */
+  async waitForFinalStatus(record) {
+    const { provider, wallet } = this.contracts;
+
+    for (;;) {
+      await delay(config.transactions.pollInterval);
+
+      try {
+        const receipt = await this.findReceipt(record);
+        if (receipt) {
+          return this.finish(record, receipt);
+        }
+
+        // The nonce was used without any of our hashes being mined
+        const minedNonce = await wallet.getNonce("latest");
+        if (minedNonce > record.nonce) {
+          // A receipt may have landed between the two reads
+          return this.finish(record, await this.findReceipt(record));
+        }
+
+        const blockNumber = await provider.getBlockNumber();
+        if (
+          blockNumber - record.sentAtBlock >=
+          config.transactions.timeoutBlocks
+        ) {
+          record.sentAtBlock = blockNumber;
+          if (!(await this.handleTimeout(record))) {
+            return this.finish(record, null, "stuck");
+          }
+        }
+      } catch (error) {
+        // RPC hiccups should not lose track of the transaction
+        logger.warn(`Error tracking ${record.label}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Replace a transaction that timed out
+   * @param {Object} record Tracked transaction
+   * @returns {Boolean} False if no replacement is left to try
+   */
+  async handleTimeout(record) {
+    const { maxReplacements } = config.transactions;
+    const gasPrice = this.bumpGasPrice(record.gasPrice);
+
+    if (record.replacements >= maxReplacements || gasPrice === null) {
+      logger.error(
+        `${record.label} still pending after ${record.replacements} replacement attempt(s), giving up on nonce ${record.nonce}`
+      );
+      return false;
+    }
+
+    const cancel =
+      record.onTimeout === "cancel" ||
+      record.cancelHashes.length > 0 ||
+      record.replacements === maxReplacements - 1;
+
+    // Failed attempts count too, so a replacement the node keeps refusing
+    // cannot keep the caller waiting forever
+    record.replacements++;
+
+    try {
+      const tx = cancel
+        ? await this.sendCancel(record.nonce, gasPrice)
+        : await record.sendTransaction(
+            this.buildOverrides(record.nonce, gasPrice, record.gasLimit)
+          );
+
+      record.gasPrice = gasPrice;
+      record.hashes.push(tx.hash);
+      if (cancel) {
+        record.cancelHashes.push(tx.hash);
+      }
+      if (record.onSubmitted) {
+        record.onSubmitted(tx.hash, record.nonce);
+      }
+
+      logger.warn(
+        `${record.label} stuck, ${cancel ? "cancel" : "speed-up"} sent: ${
+          tx.hash
+        } at ${ethers.formatUnits(gasPrice, "gwei")} gwei (nonce ${
+          record.nonce
+        })`
+      );
+    } catch (error) {
+      // Usually the original was mined meanwhile; the next poll finds out
+      logger.warn(`Failed to replace ${record.label}:`, error.message);
+    }
+
+    return true;
+  }
+
+  /**
+   * Send a zero-value transfer to our own address on a nonce
+   * @param {number} nonce Nonce to take over
+   * @param {bigint} gasPrice Gas price in wei
+   * @returns {Object} Transaction response
+   */
+  async sendCancel(nonce, gasPrice) {
+    const { wallet } = this.contracts;
+    return wallet.sendTransaction({
+      to: wallet.address,
+      value: 0n,
+      nonce,
+      gasPrice,
+      gasLimit: CANCEL_GAS_LIMIT,
+    });
+  }
+
+  /**
+   * Gas price for a replacement, config.transactions.gasBump above the last
+   * one and capped at config.gas.maxGasPrice
+   * @param {bigint} gasPrice Last gas price in wei
+   * @returns {bigint|null} New gas price, null if the last one was already at the cap
+   */
+  bumpGasPrice(gasPrice) {
+    const { maxGasPrice } = config.gas;
+    if (gasPrice >= maxGasPrice) {
+      return null;
+    }
+
+    const bump = BigInt(Math.round(config.transactions.gasBump * 100));
+    const bumped = (gasPrice * (100n + bump)) / 100n;
+    return bumped > maxGasPrice ? maxGasPrice : bumped;
+  }
+
+  /**
+   * Look for a receipt of any transaction sent on the record's nonce
+   * @param {Object} record Tracked transaction
+   * @returns {Object|null} Receipt or null while none is mined
+   */
+  async findReceipt(record) {
+    for (const hash of record.hashes) {
+      const receipt = await this.contracts.provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build and log the final status of a tracked transaction
+   * @param {Object} record Tracked transaction
+   * @param {Object|null} receipt Mined receipt, null if none of ours was mined
+   * @param {string} status Status to report when there is no receipt
+   * @returns {Object} Final status
+   */
+  finish(record, receipt, status = "dropped") {
+    if (receipt) {
+      if (record.cancelHashes.includes(receipt.hash)) {
+        status = "cancelled";
+      } else {
+        status = receipt.status === 1 ? "confirmed" : "reverted";
+      }
+    }
+
+    // Something else used our nonce, so the local count may be behind the chain
+    if (status === "dropped") {
+      NonceManager.invalidate(this.contracts.wallet.address);
+    }
+
+    const result = {
+      status,
+      nonce: record.nonce,
+      txHash: receipt ? receipt.hash : null,
+      receipt,
+      hashes: record.hashes,
+      replacements: record.replacements,
+    };
+
+    const message = `${record.label} ${status}${
+      receipt ? ` in block ${receipt.blockNumber}: ${receipt.hash}` : ""
+    }`;
+    if (status === "confirmed") {
+      logger.info(message);
+    } else {
+      logger.warn(message);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the transactions still waiting for a receipt
+   * @returns {Array} Nonce, label, hashes and replacements of each
+   */
+  getPending() {
+    return Array.from(this.pending.values()).map((record) => ({
+      nonce: record.nonce,
+      label: record.label,
+      hashes: record.hashes,
+      replacements: record.replacements,
+    }));
+  }
+}
+
+module.exports = new TransactionManager();
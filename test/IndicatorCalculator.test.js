@@ -0,0 +1,254 @@
+/**
+ * IndicatorCalculator Tests
+ * Streams candles from a fixed fixture through IndicatorCalculator and
+ * checks every indicator against technicalindicators' batch calculation
+ * over the same candles
+ */
+
+// Keep the per-candle debug output out of the test report
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const technicalindicators = require("technicalindicators");
+const config = require("../config");
+const IndicatorCalculator = require("../src/monitoring/IndicatorCalculator");
+const candles = require("./fixtures/candles.json");
+
+// Relative difference allowed between streaming and batch values
+const TOLERANCE = 1e-9;
+
+// Candles passed to initialize(); the rest are streamed one by one
+const HISTORY_LENGTH = 100;
+
+/**
+ * Last value of an indicator series, null if the series is empty or invalid
+ * @param {Array} values Indicator output
+ * @returns {*} Last value or null
+ */
+function last(values) {
+  const value = values[values.length - 1];
+  return value === undefined || Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Calculate every configured indicator over a full candle series with
+ * technicalindicators
+ * @param {Array} series Candles, oldest first
+ * @returns {Object} Indicator values shaped like getIndicators()
+ */
+function calculateBatch(series) {
+  const { rsi, ema, macd, bollinger, atr, stochRsi, vwap } = config.indicators;
+  const closes = series.map((candle) => candle.close);
+  const highs = series.map((candle) => candle.high);
+  const lows = series.map((candle) => candle.low);
+  const result = {
+    rsi: last(
+      technicalindicators.RSI.calculate({ values: closes, period: rsi.period })
+    ),
+    ema: last(
+      technicalindicators.EMA.calculate({ values: closes, period: ema.period })
+    ),
+    emas: {},
+    macd: null,
+    bollinger: null,
+    atr: null,
+    stochRsi: null,
+    vwap: null,
+  };
+
+  for (const period of ema.periods || []) {
+    result.emas[period] = last(
+      technicalindicators.EMA.calculate({ values: closes, period })
+    );
+  }
+
+  if (macd.enabled) {
+    const value = last(
+      technicalindicators.MACD.calculate({
+        values: closes,
+        fastPeriod: macd.fastPeriod,
+        slowPeriod: macd.slowPeriod,
+        signalPeriod: macd.signalPeriod,
+        SimpleMAOscillator: false,
+        SimpleMASignal: false,
+      })
+    );
+    result.macd =
+      value && value.signal !== undefined
+        ? { macd: value.MACD, signal: value.signal, histogram: value.histogram }
+        : null;
+  }
+
+  if (bollinger.enabled) {
+    const value = last(
+      technicalindicators.BollingerBands.calculate({
+        values: closes,
+        period: bollinger.period,
+        stdDev: bollinger.stdDev,
+      })
+    );
+    result.bollinger = value
+      ? {
+          upper: value.upper,
+          middle: value.middle,
+          lower: value.lower,
+          percentB: Number.isNaN(value.pb) ? null : value.pb,
+        }
+      : null;
+  }
+
+  if (atr.enabled) {
+    result.atr = last(
+      technicalindicators.ATR.calculate({
+        high: highs,
+        low: lows,
+        close: closes,
+        period: atr.period,
+      })
+    );
+  }
+
+  if (stochRsi.enabled) {
+    const value = last(
+      technicalindicators.StochasticRSI.calculate({
+        values: closes,
+        rsiPeriod: stochRsi.rsiPeriod,
+        stochasticPeriod: stochRsi.stochasticPeriod,
+        kPeriod: stochRsi.kPeriod,
+        dPeriod: stochRsi.dPeriod,
+      })
+    );
+    result.stochRsi =
+      value && value.d !== undefined
+        ? { stochRsi: value.stochRSI, k: value.k, d: value.d }
+        : null;
+  }
+
+  if (vwap.enabled) {
+    // Rolling VWAP over the most recent candles rather than a session VWAP
+    const window = series.slice(-vwap.period);
+    result.vwap =
+      window.length < vwap.period
+        ? null
+        : last(
+            technicalindicators.VWAP.calculate({
+              high: window.map((candle) => candle.high),
+              low: window.map((candle) => candle.low),
+              close: window.map((candle) => candle.close),
+              volume: window.map((candle) => candle.volume),
+            })
+          );
+  }
+
+  return result;
+}
+
+/**
+ * Collect the paths where two indicator snapshots disagree
+ * @param {*} actual Streaming value
+ * @param {*} expected Batch value
+ * @param {string} path Path of the values being compared
+ * @param {Array} mismatches Paths found so far
+ * @returns {Array} Mismatched paths
+ */
+function findMismatches(actual, expected, path = "", mismatches = []) {
+  if (typeof expected === "number" && typeof actual === "number") {
+    const scale = Math.max(1, Math.abs(expected));
+    if (Math.abs(actual - expected) > TOLERANCE * scale) {
+      mismatches.push(`${path} (${actual} vs ${expected})`);
+    }
+  } else if (expected && typeof expected === "object" && actual) {
+    for (const key of Object.keys(expected)) {
+      findMismatches(
+        actual[key],
+        expected[key],
+        path ? `${path}.${key}` : key,
+        mismatches
+      );
+    }
+  } else if (actual !== expected) {
+    mismatches.push(`${path} (${actual} vs ${expected})`);
+  }
+  return mismatches;
+}
+
+/**
+ * Assert that streamed indicator values match the batch calculation
+ * @param {Object} indicators Values from getIndicators() or peekIndicators()
+ * @param {Array} series Candles the values were calculated from
+ */
+function assertMatchesBatch(indicators, series) {
+  const { previousRsi, previousEma, ...streamed } = indicators;
+  assert.deepStrictEqual(
+    findMismatches(streamed, calculateBatch(series)),
+    [],
+    `after ${series.length} candles`
+  );
+}
+
+test("initialize() matches the batch calculation over the history", () => {
+  const calculator = new IndicatorCalculator();
+  const history = candles.slice(0, HISTORY_LENGTH);
+
+  assert.strictEqual(calculator.initialize(history), true);
+  assertMatchesBatch(calculator.getIndicators(), history);
+});
+
+test("initialize() keeps the RSI and EMA of the candle before the last", () => {
+  const calculator = new IndicatorCalculator();
+  const history = candles.slice(0, HISTORY_LENGTH);
+  const before = calculateBatch(history.slice(0, -1));
+
+  calculator.initialize(history);
+  const { previousRsi, previousEma } = calculator.getIndicators();
+  assert.deepStrictEqual(
+    findMismatches(
+      { previousRsi, previousEma },
+      {
+        previousRsi: before.rsi,
+        previousEma: before.ema,
+      }
+    ),
+    []
+  );
+});
+
+test("updateIndicators() matches the batch calculation after every candle", () => {
+  const calculator = new IndicatorCalculator();
+  calculator.initialize(candles.slice(0, HISTORY_LENGTH));
+
+  for (let i = HISTORY_LENGTH; i < candles.length; i++) {
+    assert.strictEqual(calculator.updateIndicators(candles[i]), true);
+    assertMatchesBatch(calculator.getIndicators(), candles.slice(0, i + 1));
+  }
+});
+
+test("updateIndicators() fills in each indicator once it has enough candles", () => {
+  const calculator = new IndicatorCalculator();
+  calculator.initialize(candles.slice(0, 1));
+
+  for (let i = 1; i < candles.length; i++) {
+    calculator.updateIndicators(candles[i]);
+    assertMatchesBatch(calculator.getIndicators(), candles.slice(0, i + 1));
+  }
+
+  const indicators = calculator.getIndicators();
+  for (const key of ["rsi", "ema", "macd", "bollinger", "atr", "stochRsi"]) {
+    assert.notStrictEqual(indicators[key], null, `${key} is available`);
+  }
+});
+
+test("peekIndicators() includes the open candle without advancing", () => {
+  const calculator = new IndicatorCalculator();
+  const history = candles.slice(0, HISTORY_LENGTH);
+  const openCandle = candles[HISTORY_LENGTH];
+  calculator.initialize(history);
+  const before = calculator.getIndicators();
+
+  const peeked = calculator.peekIndicators(openCandle);
+  assertMatchesBatch(peeked, [...history, openCandle]);
+  assert.strictEqual(peeked.previousRsi, before.rsi);
+  assert.strictEqual(peeked.previousEma, before.ema);
+  assert.deepStrictEqual(calculator.getIndicators(), before);
+});
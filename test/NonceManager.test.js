@@ -0,0 +1,92 @@
+/**
+ * NonceManager Tests
+ * Sends from the wallet of an AmmPoolSimulator, which refuses nonces it has
+ * already used like a node does
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { ethers } = require("ethers");
+const AmmPoolSimulator = require("../src/dex/AmmPoolSimulator");
+const NonceManager = require("../src/trading/NonceManager");
+
+/**
+ * Simulated wallet with a fresh address, so no local nonce carries over
+ * @returns {Object} { sim, wallet }
+ */
+function setup() {
+  const sim = new AmmPoolSimulator({
+    account: ethers.Wallet.createRandom().address,
+  });
+  return { sim, wallet: sim.asContracts().wallet };
+}
+
+/**
+ * Send a zero-value transfer on a nonce
+ * @param {Object} wallet Simulated wallet
+ * @returns {Function} sendTransaction for NonceManager.send
+ */
+function transfer(wallet) {
+  return (nonce) =>
+    wallet.sendTransaction({ to: wallet.address, value: 0n, nonce });
+}
+
+test("send() hands out consecutive nonces to concurrent sends", async () => {
+  const { wallet } = setup();
+
+  const sent = await Promise.all([
+    NonceManager.send(wallet, transfer(wallet)),
+    NonceManager.send(wallet, transfer(wallet)),
+    NonceManager.send(wallet, transfer(wallet)),
+  ]);
+
+  assert.deepStrictEqual(
+    sent.map((tx) => tx.nonce),
+    [0, 1, 2]
+  );
+});
+
+test("send() resyncs and retries after nonce too low", async () => {
+  const { sim, wallet } = setup();
+  await NonceManager.send(wallet, transfer(wallet));
+
+  // Another process sends from the same wallet
+  sim.mineTransaction("transfer", sim.takeNonce());
+  const tx = await NonceManager.send(wallet, transfer(wallet));
+
+  assert.strictEqual(tx.nonce, 2);
+  assert.ok(sim.receipts.has(tx.hash));
+});
+
+test("send() tracks an already known transaction instead of retrying", async () => {
+  const { wallet } = setup();
+  const signer = ethers.Wallet.createRandom();
+  let attempts = 0;
+  let signedTx = null;
+
+  // What ethers throws when the node already has this signed transaction
+  const tx = await NonceManager.send(wallet, async (nonce) => {
+    attempts++;
+    signedTx = await signer.signTransaction({
+      to: signer.address,
+      nonce,
+      gasPrice: 3000000000n,
+      gasLimit: 21000n,
+      chainId: 56,
+    });
+    throw ethers.makeError("could not coalesce error", "UNKNOWN_ERROR", {
+      error: { code: -32000, message: "already known" },
+      payload: { method: "eth_sendRawTransaction", params: [signedTx] },
+    });
+  });
+
+  assert.strictEqual(attempts, 1);
+  assert.strictEqual(tx.nonce, 0);
+  assert.strictEqual(tx.hash, ethers.Transaction.from(signedTx).hash);
+
+  // The nonce stays taken
+  const next = await NonceManager.send(wallet, transfer(wallet));
+  assert.strictEqual(next.nonce, 1);
+});
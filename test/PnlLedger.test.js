@@ -0,0 +1,144 @@
+/**
+ * PnlLedger Tests
+ * Matches sells to buys FIFO, on hand-computed fills and on fills executed
+ * against an AmmPoolSimulator
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const config = require("../config");
+const AmmPoolSimulator = require("../src/dex/AmmPoolSimulator");
+const DexAggregator = require("../src/dex/DexAggregator");
+const CapitalAllocator = require("../src/risk/CapitalAllocator");
+const NetworkMonitor = require("../src/risk/NetworkMonitor");
+const PairRegistry = require("../src/trading/PairRegistry");
+const PnlLedger = require("../src/trading/PnlLedger");
+const TradeExecutor = require("../src/trading/TradeExecutor");
+
+const TOLERANCE = 1e-9;
+
+/**
+ * Start an empty ledger in a fresh file
+ * @param {Object} t Test context
+ */
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pnl-ledger-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  config.pnl.ledgerFile = path.join(dir, "pnl-ledger.json");
+  PnlLedger.state = PnlLedger.createState();
+  PnlLedger.initialize();
+}
+
+/**
+ * Assert two numbers are equal up to float rounding
+ * @param {number} actual Actual value
+ * @param {number} expected Expected value
+ * @param {string} message Failure message
+ */
+function assertClose(actual, expected, message) {
+  assert.ok(
+    Math.abs(actual - expected) < TOLERANCE * Math.max(1, Math.abs(expected)),
+    `${message}: ${actual} vs ${expected}`
+  );
+}
+
+test("a sell closes the oldest lots first", (t) => {
+  setup(t);
+  const trade = { pair: "WBTC-BUSD", feeTier: 0 };
+
+  PnlLedger.recordFill({
+    ...trade,
+    type: "buy",
+    txHash: "0xa",
+    amountIn: "100",
+    amountOut: "1",
+  });
+  PnlLedger.recordFill({
+    ...trade,
+    type: "buy",
+    txHash: "0xb",
+    amountIn: "120",
+    amountOut: "1",
+  });
+  // 1.5 sold at 120: all of the lot bought at 100, half of the one at 120
+  const sell = PnlLedger.recordFill({
+    ...trade,
+    type: "sell",
+    txHash: "0xc",
+    amountIn: "1.5",
+    amountOut: "180",
+  });
+
+  const lots = PnlLedger.getClosedLots("WBTC-BUSD");
+  assert.deepStrictEqual(
+    lots.map((lot) => [lot.buyTxHash, lot.quantity]),
+    [
+      ["0xa", 1],
+      ["0xb", 0.5],
+    ]
+  );
+  assertClose(lots[0].costBasis, 100, "first cost basis");
+  assertClose(lots[0].proceeds, 120, "first proceeds");
+  assertClose(lots[1].costBasis, 60, "second cost basis");
+  assertClose(lots[1].proceeds, 60, "second proceeds");
+  assertClose(sell.realized, 20, "realized");
+
+  const summary = PnlLedger.getPairSummary("WBTC-BUSD");
+  assertClose(summary.openQuantity, 0.5, "open quantity");
+  assertClose(summary.costBasis, 60, "open cost basis");
+});
+
+test("fills executed on the simulator realize what the swaps returned", async (t) => {
+  setup(t);
+  const account = ethers.Wallet.createRandom().address;
+  const sim = new AmmPoolSimulator({ account });
+  const base = config.tokens[config.pairs[0].base];
+  const quote = config.tokens[config.pairs[0].quote];
+  sim.setReserves(
+    base,
+    ethers.parseEther("1000"),
+    quote,
+    ethers.parseEther("30000000")
+  );
+  sim.setBalance(account, quote, ethers.parseEther("10000"));
+  const contracts = sim.asContracts();
+  PairRegistry.useContracts(contracts);
+  CapitalAllocator.useContracts(contracts);
+  TradeExecutor.useContracts(contracts);
+  DexAggregator.useAdapters([sim.asAdapter()]);
+  await PairRegistry.initialize();
+  CapitalAllocator.initialize();
+  await TradeExecutor.initialize();
+  NetworkMonitor.bnbPrice = 600;
+  TradeExecutor.onTradeExecuted((trade) => PnlLedger.recordFill(trade));
+  const pair = PairRegistry.getPairs()[0];
+
+  const first = await TradeExecutor.executeBuy(pair);
+  const second = await TradeExecutor.executeBuy(pair);
+  const sell = await TradeExecutor.executeSell(pair);
+
+  const lots = PnlLedger.getClosedLots(pair.id);
+  assert.deepStrictEqual(
+    lots.map((lot) => lot.buyTxHash),
+    [first.txHash, second.txHash]
+  );
+  assertClose(
+    lots[0].quantity + lots[1].quantity,
+    parseFloat(sell.amountIn),
+    "quantity sold"
+  );
+
+  // Gas in BNB from the receipts, at $600 per BNB
+  const cost = (trade) =>
+    parseFloat(trade.amountIn) + parseFloat(trade.gasCost) * 600;
+  const proceeds = parseFloat(sell.amountOut) - parseFloat(sell.gasCost) * 600;
+  const expected = proceeds - cost(first) - cost(second);
+  assertClose(PnlLedger.getPairSummary(pair.id).realized, expected, "realized");
+  assert.strictEqual(PnlLedger.getPairSummary(pair.id).openQuantity, 0);
+});
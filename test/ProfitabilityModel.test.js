@@ -0,0 +1,105 @@
+/**
+ * ProfitabilityModel Tests
+ * Checks the net edge of a buy against hand-computed costs, and against a
+ * round trip quoted from an AmmPoolSimulator
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { ethers } = require("ethers");
+const config = require("../config");
+const AmmPoolSimulator = require("../src/dex/AmmPoolSimulator");
+const DexAggregator = require("../src/dex/DexAggregator");
+const CapitalAllocator = require("../src/risk/CapitalAllocator");
+const NetworkMonitor = require("../src/risk/NetworkMonitor");
+const PairRegistry = require("../src/trading/PairRegistry");
+const ProfitabilityModel = require("../src/trading/ProfitabilityModel");
+const TradeExecutor = require("../src/trading/TradeExecutor");
+
+const TOLERANCE = 1e-9;
+
+config.profitability.minNetEdge = 0.001;
+
+/**
+ * Model of a pair that only needs ids and symbols
+ * @returns {ProfitabilityModel} Model without an estimate
+ */
+function createModel() {
+  return new ProfitabilityModel({
+    pair: {
+      id: "WBTC-BUSD",
+      base: { symbol: "WBTC" },
+      quote: { symbol: "BUSD" },
+    },
+  });
+}
+
+test("evaluate() counts each pool fee once", () => {
+  const model = createModel();
+  // 0.25% per swap, 0.2% price impact over the round trip, $1 gas on $1000
+  model.estimate = model.buildEstimate({
+    size: 1000,
+    entryVenue: "simulator",
+    exitVenue: "simulator",
+    fees: 0.005,
+    quoteFee: 0.0025,
+    roundTrip: 0.007,
+    gasUsd: 1,
+  });
+  assert.ok(Math.abs(model.estimate.totalCost - 0.008) < TOLERANCE);
+
+  // A pool priced at 100 quotes 99.75 for one token after its fee:
+  // gap (101 - 100) / 100 = 1%, net 1% - 0.5% - 0.2% - 0.1% = 0.2%
+  const edge = model.evaluate(101, 99.75);
+  assert.ok(Math.abs(edge.gap - 0.01) < TOLERANCE, `gap ${edge.gap}`);
+  assert.ok(Math.abs(edge.netEdge - 0.002) < TOLERANCE, `net ${edge.netEdge}`);
+  assert.strictEqual(edge.profitable, true);
+
+  // gap 0.85%, net 0.05% is below the 0.1% floor
+  const thin = model.evaluate(100.85, 99.75);
+  assert.ok(Math.abs(thin.netEdge - 0.0005) < TOLERANCE, `net ${thin.netEdge}`);
+  assert.strictEqual(thin.profitable, false);
+});
+
+test("refresh() prices the round trip from the simulated pool", async () => {
+  const account = ethers.Wallet.createRandom().address;
+  const sim = new AmmPoolSimulator({ account });
+  const base = config.tokens[config.pairs[0].base];
+  const quote = config.tokens[config.pairs[0].quote];
+  // Deep enough that quoting one token moves the price by about 1e-6
+  sim.setReserves(
+    base,
+    ethers.parseEther("1000000"),
+    quote,
+    ethers.parseEther("100000000")
+  );
+  sim.setBalance(account, quote, ethers.parseEther("10000"));
+  const contracts = sim.asContracts();
+  PairRegistry.useContracts(contracts);
+  CapitalAllocator.useContracts(contracts);
+  TradeExecutor.useContracts(contracts);
+  DexAggregator.useAdapters([sim.asAdapter()]);
+  await PairRegistry.initialize();
+  CapitalAllocator.initialize();
+  NetworkMonitor.bnbPrice = 600;
+
+  const model = new ProfitabilityModel({ pair: PairRegistry.getPairs()[0] });
+  const estimate = await model.refresh();
+
+  assert.strictEqual(estimate.size, 1000);
+  assert.ok(Math.abs(estimate.fees - 0.005) < TOLERANCE);
+  assert.ok(Math.abs(estimate.quoteFee - 0.0025) < TOLERANCE);
+  assert.ok(estimate.priceImpact > 0 && estimate.priceImpact < 0.0001);
+
+  // Binance at the pool price leaves no gap, only the costs
+  const [, dexOut] = await sim.getAmountsOut(ethers.parseEther("1"), [
+    base,
+    quote,
+  ]);
+  const edge = model.evaluate(100, parseFloat(ethers.formatEther(dexOut)));
+  assert.ok(Math.abs(edge.gap) < 1e-5, `gap ${edge.gap}`);
+  assert.ok(Math.abs(edge.netEdge + estimate.totalCost) < 1e-5);
+  assert.strictEqual(edge.profitable, false);
+});
@@ -0,0 +1,68 @@
+/**
+ * RiskGuard Tests
+ * A halt saved by a previous run has to survive fills replayed on startup
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+const RiskGuard = require("../src/risk/RiskGuard");
+
+const savedState = {
+  halt: {
+    limit: "consecutive-losses",
+    reason: "3 losing trades in a row",
+    timestamp: "2026-01-01T00:00:00.000Z",
+  },
+  day: new Date().toISOString().slice(0, 10),
+  dailyRealizedPnl: -30,
+  dayStartEquity: null,
+  peakEquity: null,
+  consecutiveLosses: 3,
+};
+
+test("fills recorded before initialize() keep the saved halt", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "risk-guard-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  config.risk.stateFile = path.join(dir, "risk-state.json");
+  fs.writeFileSync(config.risk.stateFile, JSON.stringify(savedState));
+
+  // What startup does with a sell recovered from the trade journal
+  await RiskGuard.recordFill({ pair: "WBTC-BUSD", side: "sell", realized: -1 });
+
+  assert.deepStrictEqual(RiskGuard.getStatus().halt, savedState.halt);
+  assert.strictEqual(RiskGuard.getStatus().consecutiveLosses, 4);
+  assert.strictEqual(RiskGuard.getStatus().dailyRealizedPnl, -31);
+
+  const saved = JSON.parse(fs.readFileSync(config.risk.stateFile, "utf8"));
+  assert.deepStrictEqual(saved.halt, savedState.halt);
+
+  await RiskGuard.initialize();
+  RiskGuard.shutdown();
+  assert.strictEqual(RiskGuard.isHalted(), true);
+  assert.strictEqual(RiskGuard.getStatus().consecutiveLosses, 4);
+});
+
+test("a corrupt state file stops the restore instead of resetting", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "risk-guard-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  config.risk.stateFile = path.join(dir, "risk-state.json");
+  fs.writeFileSync(config.risk.stateFile, '{"halt": {"limit": "daily-lo');
+  // As a fresh process would start
+  RiskGuard.restored = false;
+
+  await assert.rejects(RiskGuard.initialize(), /not valid JSON/);
+  await assert.rejects(
+    RiskGuard.recordFill({ pair: "WBTC-BUSD", side: "sell", realized: -1 }),
+    /not valid JSON/
+  );
+  assert.strictEqual(
+    fs.readFileSync(config.risk.stateFile, "utf8"),
+    '{"halt": {"limit": "daily-lo'
+  );
+});
@@ -0,0 +1,176 @@
+/**
+ * TradeJournal Tests
+ * Replays journals a previous run left with submitted swaps and resolves
+ * them against an AmmPoolSimulator chain
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const config = require("../config");
+const AmmPoolSimulator = require("../src/dex/AmmPoolSimulator");
+const DexAggregator = require("../src/dex/DexAggregator");
+const CapitalAllocator = require("../src/risk/CapitalAllocator");
+const PairRegistry = require("../src/trading/PairRegistry");
+const TradeExecutor = require("../src/trading/TradeExecutor");
+const TradeJournal = require("../src/trading/TradeJournal");
+
+const PAIR = "WBTC-BUSD";
+
+config.trading.mode = "live";
+config.transactions.pollInterval = 5;
+config.journal.recoveryTimeout = 50;
+
+/**
+ * Point the journal at a fresh file and a fresh simulated chain
+ * @param {Object} t Test context
+ * @param {Object} overrides Wallet or provider calls to replace
+ * @returns {AmmPoolSimulator} Simulator the journal checks hashes against
+ */
+function setup(t, overrides = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "trade-journal-"));
+  t.after(() => {
+    TradeJournal.shutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  config.journal.file = path.join(dir, "trade-journal.jsonl");
+
+  const sim = new AmmPoolSimulator();
+  const { wallet, provider } = sim.asContracts();
+  TradeJournal.useContracts({
+    wallet: { ...wallet, ...overrides.wallet },
+    provider: { ...provider, ...overrides.provider },
+  });
+  TradeJournal.initialize();
+  return sim;
+}
+
+/**
+ * Journal a buy as submitted, the way a crash after sending leaves it
+ * @param {string} txHash Hash of the swap
+ * @param {number} nonce Nonce of the swap
+ * @returns {Object} Submitted intent
+ */
+function submitBuy(txHash, nonce) {
+  const intent = TradeJournal.createIntent(PAIR, "buy", 30000);
+  return TradeJournal.markSubmitted(intent, txHash, nonce);
+}
+
+test("recover() confirms a submitted swap that was mined", async (t) => {
+  const sim = setup(t);
+  const tx = sim.mineTransaction("swap", sim.takeNonce());
+  const intent = submitBuy(tx.hash, tx.nonce);
+
+  const recovered = await TradeJournal.recover();
+
+  assert.strictEqual(recovered.length, 1);
+  assert.strictEqual(recovered[0].receipt.hash, tx.hash);
+  assert.strictEqual(TradeJournal.intents.get(intent.id).status, "confirmed");
+  assert.strictEqual(TradeJournal.getOpenPosition(PAIR).entryPrice, 30000);
+});
+
+test("recover() checks the receipts again once the nonce has moved on", async (t) => {
+  // The receipt lands between the first lookup and the nonce read
+  let lookups = 0;
+  const sim = setup(t, {
+    provider: {
+      getTransactionReceipt: async (hash) =>
+        lookups++ === 0 ? null : sim.receipts.get(hash) || null,
+    },
+  });
+  const tx = sim.mineTransaction("swap", sim.takeNonce());
+  const intent = submitBuy(tx.hash, tx.nonce);
+
+  const recovered = await TradeJournal.recover();
+
+  assert.strictEqual(recovered.length, 1);
+  assert.strictEqual(TradeJournal.intents.get(intent.id).status, "confirmed");
+});
+
+test("recover() fails a swap whose nonce another transaction used", async (t) => {
+  const sim = setup(t);
+  const nonce = sim.takeNonce();
+  sim.mineTransaction("transfer", nonce);
+  submitBuy("0xdropped", nonce);
+
+  const recovered = await TradeJournal.recover();
+
+  assert.deepStrictEqual(recovered, []);
+  assert.strictEqual(TradeJournal.getPendingIntent(PAIR), null);
+  assert.strictEqual(TradeJournal.getOpenPosition(PAIR), null);
+});
+
+test("recover() leaves a swap still pending at the timeout submitted", async (t) => {
+  const sim = setup(t);
+  const intent = submitBuy("0xpending", sim.nonce);
+
+  const recovered = await TradeJournal.recover();
+
+  assert.deepStrictEqual(recovered, []);
+  assert.strictEqual(TradeJournal.getPendingIntent(PAIR).id, intent.id);
+
+  // Compaction keeps it for the next run
+  TradeJournal.initialize();
+  assert.strictEqual(TradeJournal.getPendingIntent(PAIR).id, intent.id);
+
+  // Once it is mined the pair can settle it
+  const tx = sim.mineTransaction("swap", sim.takeNonce());
+  const pending = TradeJournal.markSubmitted(intent, tx.hash, tx.nonce);
+  const fill = await TradeJournal.resolveSubmitted(pending, Infinity);
+  assert.strictEqual(fill.receipt.hash, tx.hash);
+  assert.strictEqual(TradeJournal.getPendingIntent(PAIR), null);
+});
+
+test("recover() confirms a fill at the price its Transfer logs show", async (t) => {
+  const account = ethers.Wallet.createRandom().address;
+  const sim = new AmmPoolSimulator({ account });
+  const { base, quote } = config.pairs[0];
+  sim.setReserves(
+    config.tokens[base],
+    ethers.parseEther("1000"),
+    config.tokens[quote],
+    ethers.parseEther("30000000")
+  );
+  sim.setBalance(account, config.tokens[quote], ethers.parseEther("1000"));
+  const contracts = sim.asContracts();
+  PairRegistry.useContracts(contracts);
+  CapitalAllocator.useContracts(contracts);
+  TradeExecutor.useContracts(contracts);
+  DexAggregator.useAdapters([sim.asAdapter()]);
+  await PairRegistry.initialize();
+  CapitalAllocator.initialize();
+  await TradeExecutor.initialize();
+  setup(t);
+  TradeJournal.useContracts(contracts);
+  const pair = PairRegistry.getPairs()[0];
+
+  // Decided at a stale price, then the run stops before the fill is journaled
+  let intent = null;
+  const trade = await TradeExecutor.executeBuy(pair, {
+    onSending: (route) => {
+      intent = TradeJournal.createIntent(pair.id, "buy", 1, route);
+    },
+    onSubmitted: (txHash, nonce) => {
+      intent = TradeJournal.markSubmitted(intent, txHash, nonce);
+    },
+  });
+  TradeJournal.initialize();
+
+  const recovered = await TradeJournal.recover((pending, receipt) =>
+    TradeExecutor.readRecoveredFill(pending, receipt)
+  );
+
+  assert.strictEqual(recovered.length, 1);
+  assert.strictEqual(recovered[0].trade.fillSource, "transfer");
+  assert.strictEqual(recovered[0].trade.amountOut, trade.amountOut);
+  assert.strictEqual(recovered[0].intent.price, trade.executionPrice);
+  assert.strictEqual(
+    TradeJournal.getOpenPosition(pair.id).entryPrice,
+    trade.executionPrice
+  );
+});
@@ -0,0 +1,119 @@
+/**
+ * TransactionManager Tests
+ * Sends from the wallet of an AmmPoolSimulator that holds transactions
+ * pending, so they time out and get sped up or cancelled
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { ethers } = require("ethers");
+const config = require("../config");
+const AmmPoolSimulator = require("../src/dex/AmmPoolSimulator");
+const TransactionManager = require("../src/trading/TransactionManager");
+
+config.transactions.pollInterval = 5;
+config.transactions.timeoutBlocks = 2;
+config.transactions.gasBump = 0.2;
+config.transactions.maxReplacements = 3;
+
+const GAS_PRICE = ethers.parseUnits("5", "gwei");
+
+/**
+ * Simulated chain whose blocks advance on every read while it holds
+ * transactions, and whose wallet is the one TransactionManager sends with
+ * @returns {Object} { sim, wallet }
+ */
+function setup() {
+  const sim = new AmmPoolSimulator({
+    account: ethers.Wallet.createRandom().address,
+  });
+  const { wallet, provider } = sim.asContracts();
+  TransactionManager.useContracts({
+    wallet,
+    provider: {
+      ...provider,
+      getBlockNumber: async () =>
+        sim.holding ? ++sim.blockNumber : sim.blockNumber,
+    },
+  });
+  sim.hold();
+  return { sim, wallet };
+}
+
+/**
+ * Transfer TransactionManager can send and speed up
+ * @param {Object} wallet Simulated wallet
+ * @returns {Function} sendTransaction for TransactionManager.send
+ */
+function transfer(wallet) {
+  const to = ethers.Wallet.createRandom().address;
+  return (overrides) => wallet.sendTransaction({ to, value: 0n, ...overrides });
+}
+
+test("send() speeds up a stuck transaction with more gas", async () => {
+  const { sim, wallet } = setup();
+  const hashes = [];
+
+  const result = await TransactionManager.send(transfer(wallet), {
+    label: "transfer",
+    gasPrice: GAS_PRICE,
+    onSubmitted: (hash) => {
+      hashes.push(hash);
+      if (hashes.length === 2) {
+        sim.mine();
+      }
+    },
+  });
+
+  assert.strictEqual(result.status, "confirmed");
+  assert.strictEqual(result.replacements, 1);
+  assert.strictEqual(result.txHash, hashes[1]);
+  assert.strictEqual(result.receipt.gasPrice, (GAS_PRICE * 120n) / 100n);
+  assert.strictEqual(sim.nonce, 1);
+});
+
+test("send() cancels a stuck transaction on the same nonce", async () => {
+  const { sim, wallet } = setup();
+  const hashes = [];
+
+  const result = await TransactionManager.send(transfer(wallet), {
+    label: "transfer",
+    gasPrice: GAS_PRICE,
+    onTimeout: "cancel",
+    onSubmitted: (hash) => {
+      hashes.push(hash);
+      if (hashes.length === 2) {
+        sim.mine();
+      }
+    },
+  });
+
+  assert.strictEqual(result.status, "cancelled");
+  assert.strictEqual(result.txHash, hashes[1]);
+  assert.strictEqual(result.nonce, 0);
+  assert.strictEqual(sim.nonce, 1);
+});
+
+test("send() replaces at the gas cap and gives up only once it is there", async () => {
+  const { wallet } = setup();
+  const { maxGasPrice } = config.gas;
+  const gasPrices = [];
+
+  const result = await TransactionManager.send(
+    (overrides) => {
+      gasPrices.push(overrides.gasPrice);
+      return transfer(wallet)(overrides);
+    },
+    {
+      label: "transfer",
+      gasPrice: maxGasPrice - 1n,
+      onTimeout: "speed-up",
+    }
+  );
+
+  assert.deepStrictEqual(gasPrices, [maxGasPrice - 1n, maxGasPrice]);
+  assert.strictEqual(result.status, "stuck");
+  assert.strictEqual(result.replacements, 1);
+});
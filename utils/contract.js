@@ -8,7 +8,12 @@ const config = require("../config");
 
 // Create provider and wallet
 const provider = new ethers.JsonRpcProvider(config.bsc.rpcUrl);
-const wallet = new ethers.Wallet(config.wallet.privateKey, provider);
+
+// Without a private key (backtests, read-only tooling) contracts can only be read
+const wallet = config.wallet.privateKey
+  ? new ethers.Wallet(config.wallet.privateKey, provider)
+  : null;
+const runner = wallet || provider;
 
 // Contract ABIs
 const routerABI = [
@@ -16,27 +21,80 @@ const routerABI = [
   "function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
 ];
 
+const factoryABI = [
+  "function getPair(address tokenA, address tokenB) view returns (address pair)",
+];
+
+const v2PairABI = [
+  "event Swap(address indexed sender, uint amount0In, uint amount1In, uint amount0Out, uint amount1Out, address indexed to)",
+];
+
+const v3QuoterABI = [
+  "function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)",
+];
+
+const v3SwapRouterABI = [
+  "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)",
+];
+
+const v3FactoryABI = [
+  "function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)",
+];
+
+const v3PoolABI = [
+  "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint128 protocolFeesToken0, uint128 protocolFeesToken1)",
+];
+
 const tokenABI = [
   "function balanceOf(address owner) view returns (uint256)",
   "function approve(address spender, uint256 amount) returns (bool)",
   "function allowance(address owner, address spender) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
 ];
 
 // Create contract instances
 const pancakeRouter = new ethers.Contract(
   config.dex.routerAddress,
   routerABI,
-  wallet
+  runner
 );
 
-const wbtcToken = new ethers.Contract(config.tokens.WBTC, tokenABI, wallet);
+const tokenContracts = new Map();
+
+/**
+ * Get the ERC-20 contract for a token, created once per address
+ * @param {string} address Token address
+ * @returns {Contract} Token contract
+ */
+function getTokenContract(address) {
+  const key = address.toLowerCase();
+  if (!tokenContracts.has(key)) {
+    tokenContracts.set(key, new ethers.Contract(address, tokenABI, runner));
+  }
+  return tokenContracts.get(key);
+}
+
+const wbtcToken = getTokenContract(config.tokens.WBTC);
 
-const busdToken = new ethers.Contract(config.tokens.BUSD, tokenABI, wallet);
+const busdToken = getTokenContract(config.tokens.BUSD);
 
 module.exports = {
   provider,
   wallet,
+  runner,
+  abis: {
+    router: routerABI,
+    factory: factoryABI,
+    v2Pair: v2PairABI,
+    v3Quoter: v3QuoterABI,
+    v3SwapRouter: v3SwapRouterABI,
+    v3Factory: v3FactoryABI,
+    v3Pool: v3PoolABI,
+    token: tokenABI,
+  },
   pancakeRouter,
   wbtcToken,
   busdToken,
+  getTokenContract,
 };
@@ -0,0 +1,38 @@
+/**
+ * Interval Utility
+ * Conversions for Binance candle interval strings
+ */
+
+const INTERVAL_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Convert a Binance interval string (e.g. "1m", "4h") to milliseconds
+ * @param {string} interval Interval string
+ * @returns {number} Interval length in ms
+ */
+function parseInterval(interval) {
+  const match = /^(\d+)([mhd])$/.exec(interval);
+  if (!match) {
+    throw new Error(`Unsupported candle interval: ${interval}`);
+  }
+  return Number(match[1]) * INTERVAL_UNITS[match[2]];
+}
+
+/**
+ * Start of the interval bucket a timestamp falls in
+ * @param {number} timestamp Timestamp in ms
+ * @param {number} intervalMs Interval length in ms
+ * @returns {number} Bucket start in ms
+ */
+function bucketStart(timestamp, intervalMs) {
+  return Math.floor(timestamp / intervalMs) * intervalMs;
+}
+
+module.exports = {
+  parseInterval,
+  bucketStart,
+};
@@ -4,16 +4,22 @@
  */
 
 const { createLogger, format, transports } = require("winston");
+const config = require("../config");
 const { combine, timestamp, printf, colorize } = format;
 
+// Every line carries the trading mode so paper output is never mistaken for live
+const modeLabel = config.trading.mode.toUpperCase();
+
 // Custom log format
 const logFormat = printf(({ level, message, timestamp }) => {
-  return `${timestamp} [${level}]: ${message}`;
+  return `${timestamp} [${level}] [${modeLabel}]: ${message}`;
 });
 
 // Create logger instance
 const logger = createLogger({
-  level: process.env.NODE_ENV === "production" ? "info" : "debug",
+  level:
+    process.env.LOG_LEVEL ||
+    (process.env.NODE_ENV === "production" ? "info" : "debug"),
   format: combine(
     colorize(),
     timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
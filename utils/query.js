@@ -0,0 +1,35 @@
+/**
+ * Query Utility
+ * Parsing helpers for REST query params
+ */
+
+/**
+ * Parse a timestamp query param given as epoch ms or an ISO date string
+ * @param {string} value Raw query value
+ * @returns {number|null} Timestamp in ms, null if absent, NaN if invalid
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === "") return null;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+/**
+ * Parse an integer query param within bounds
+ * @param {string} value Raw query value
+ * @param {number} defaultValue Value used when the param is absent
+ * @param {number} min Smallest accepted value
+ * @param {number} max Largest accepted value
+ * @returns {number} Parsed value, NaN if invalid or out of bounds
+ */
+function parseInteger(value, defaultValue, min, max) {
+  if (value === undefined || value === "") return defaultValue;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= min && parsed <= max
+    ? parsed
+    : NaN;
+}
+
+module.exports = {
+  parseTimestamp,
+  parseInteger,
+};
@@ -0,0 +1,54 @@
+/**
+ * State File Utility
+ * Reads and writes the JSON files state is kept in across restarts
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Read a state file
+ * @param {string} file File path
+ * @returns {Object|null} Parsed state, null if the file does not exist
+ * @throws {Error} If the file is not valid JSON, so the caller does not
+ *   start over from an empty state and overwrite it
+ */
+function readStateFile(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const content = fs.readFileSync(file, "utf8");
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(
+      `${file} is not valid JSON (${error.message}); repair or remove it to start`
+    );
+  }
+}
+
+/**
+ * Write a state file through a temporary file, so a crash mid-write leaves
+ * the previous version intact
+ * @param {string} file File path
+ * @param {Object} state State to save
+ */
+function writeStateFile(file, state) {
+  const tempFile = `${file}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const fd = fs.openSync(tempFile, "w");
+  try {
+    fs.writeSync(fd, JSON.stringify(state, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempFile, file);
+}
+
+module.exports = {
+  readStateFile,
+  writeStateFile,
+};